@@ -0,0 +1,215 @@
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Serveur songquiz simulé, pour faire tourner le bot hors ligne.
+// Implémente /users/me, /questions/fetch et /answers/submit à partir d'un jeu
+// de questions (fixtures/mock_questions.json par défaut).
+
+const DEFAULT_FIXTURE = path.join(__dirname, "fixtures", "mock_questions.json");
+const QUESTIONS_PER_ROUND = 10;
+// Écart maximal (secondes) entre l'horodatage signé d'un webhook et sa réception
+const WEBHOOK_TOLERANCE = 300;
+
+function loadFixture(file = DEFAULT_FIXTURE) {
+    const questions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(questions) || questions.length === 0) {
+        throw new Error(`Fixture vide ou invalide: ${file}`);
+    }
+    return questions;
+}
+
+function createMockServer(options = {}) {
+    const {
+        questions = loadFixture(options.fixtureFile),
+        playTimes = 5,
+        token = null,
+        userName = "Mock User",
+        questionsPerRound = QUESTIONS_PER_ROUND,
+        webhookSecret = null
+    } = options;
+
+    const app = express();
+
+    // Récepteur de webhooks du bot (QUIZ_WEBHOOK_URLS=http://localhost:8081/__mock/webhook):
+    // garde les livraisons reçues et vérifie la signature si `webhookSecret` est fourni
+    // (HMAC de "<X-Quiz-Timestamp>.<corps>", horodatage de moins de 5 minutes).
+    // Déclaré avant express.json() pour signer le corps brut.
+    const webhooks = [];
+    const webhookFaults = { count: 0, status: 500 };
+
+    app.post("/__mock/webhook", express.raw({ type: '*/*' }), (req, res) => {
+        if (webhookFaults.count > 0) {
+            webhookFaults.count--;
+            return res.status(webhookFaults.status).json({ message: "Simulated webhook failure" });
+        }
+
+        const raw = req.body.toString('utf8');
+        const signature = req.get('X-Quiz-Signature') || null;
+        const timestamp = parseInt(req.get('X-Quiz-Timestamp')) || null;
+        const fresh = timestamp !== null && Math.abs(Date.now() / 1000 - timestamp) <= WEBHOOK_TOLERANCE;
+        const expected = webhookSecret
+            ? 'sha256=' + crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${raw}`).digest('hex')
+            : null;
+
+        webhooks.push({
+            receivedAt: Date.now(),
+            event: req.get('X-Quiz-Event'),
+            delivery: req.get('X-Quiz-Delivery'),
+            timestamp,
+            signature,
+            signatureValid: expected ? fresh && signature === expected : null,
+            body: JSON.parse(raw)
+        });
+        res.json({ received: true });
+    });
+
+    app.use(express.json());
+
+    app.get("/__mock/webhooks", (req, res) => {
+        res.json(webhooks);
+    });
+
+    // Les `count` prochaines livraisons de webhook échouent avec `status`
+    app.post("/__mock/webhook-fail-next", (req, res) => {
+        webhookFaults.count = parseInt(req.body?.count) || 1;
+        webhookFaults.status = parseInt(req.body?.status) || 500;
+        res.json(webhookFaults);
+    });
+
+    // Un seul compte: tours restants, manche en cours, compteur de manches
+    const user = {
+        name: userName,
+        playTimes,
+        roundsStarted: 0,
+        round: null
+    };
+    const revokedTokens = new Set();
+    // Pannes simulées pour les prochaines requêtes: { count, status, delay }
+    const faults = { count: 0, status: 503, delay: 0 };
+
+    // Simule l'expiration d'un token (le compte et la manche en cours sont conservés)
+    app.post("/__mock/revoke-token", (req, res) => {
+        revokedTokens.add(String(req.body?.token));
+        res.json({ revoked: req.body?.token });
+    });
+
+    // Les `count` prochaines requêtes échouent avec `status`, ou répondent après `delay` ms
+    app.post("/__mock/fail-next", (req, res) => {
+        faults.count = parseInt(req.body?.count) || 1;
+        faults.status = parseInt(req.body?.status) || 503;
+        faults.delay = parseInt(req.body?.delay) || 0;
+        res.json(faults);
+    });
+
+    app.use((req, res, next) => {
+        if (faults.count <= 0) return next();
+        faults.count--;
+
+        if (faults.delay) {
+            return setTimeout(next, faults.delay);
+        }
+        res.status(faults.status).json({ message: "Simulated failure" });
+    });
+
+    // Authentification Bearer: n'importe quel token non révoqué, ou seulement `token` s'il est fourni
+    app.use((req, res, next) => {
+        const header = req.get('Authorization') || '';
+        const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+        if (!bearer || (token && bearer !== token) || revokedTokens.has(bearer)) {
+            return res.status(401).json({ message: "Unauthorized" });
+        }
+
+        req.user = user;
+        next();
+    });
+
+    const publicQuestion = (round) => {
+        const question = round.questions[round.currentIndex];
+        return {
+            questionText: question.questionText,
+            options: question.options,
+            songInfo: { title: question.title },
+            currentIndex: round.currentIndex
+        };
+    };
+
+    app.get("/users/me", (req, res) => {
+        res.json({
+            name: req.user.name,
+            playTimes: req.user.playTimes
+        });
+    });
+
+    app.get("/questions/fetch", (req, res) => {
+        const user = req.user;
+
+        // Nouvelle manche: consomme un tour
+        if (!user.round) {
+            if (user.playTimes <= 0) {
+                return res.status(403).json({ message: "No play times left" });
+            }
+
+            const offset = (user.roundsStarted * questionsPerRound) % questions.length;
+            const roundQuestions = [];
+            for (let i = 0; i < questionsPerRound; i++) {
+                roundQuestions.push(questions[(offset + i) % questions.length]);
+            }
+
+            user.playTimes--;
+            user.roundsStarted++;
+            user.round = { questions: roundQuestions, currentIndex: 0, score: 0 };
+        }
+
+        res.json(publicQuestion(user.round));
+    });
+
+    app.post("/answers/submit", (req, res) => {
+        const user = req.user;
+        const round = user.round;
+
+        if (!round) {
+            return res.status(400).json({ message: "No active round" });
+        }
+
+        const question = round.questions[round.currentIndex];
+        const correct = String(req.body?.answer) === String(question.answer);
+        if (correct) round.score++;
+
+        round.currentIndex++;
+        const completed = round.currentIndex >= round.questions.length;
+        const response = {
+            correct,
+            status: completed ? "completed" : "in_progress",
+            currentIndex: round.currentIndex,
+            score: round.score
+        };
+
+        if (completed) {
+            user.round = null;
+        }
+
+        res.json(response);
+    });
+
+    return { app, user, revokedTokens, faults, webhooks };
+}
+
+if (require.main === module) {
+    const PORT = process.env.MOCK_PORT || 8081;
+    const { app } = createMockServer({
+        fixtureFile: process.env.MOCK_FIXTURE || DEFAULT_FIXTURE,
+        playTimes: parseInt(process.env.MOCK_PLAY_TIMES || '5'),
+        token: process.env.MOCK_TOKEN || null,
+        webhookSecret: process.env.MOCK_WEBHOOK_SECRET || null
+    });
+
+    app.listen(PORT, () => {
+        console.log(`🧪 Serveur songquiz simulé sur le port ${PORT}`);
+        console.log(`   Lancez le bot avec QUIZ_BASE_URL=http://localhost:${PORT} (et QUIZ_API_AUTH=disabled ou des clés QUIZ_API_*)`);
+    });
+}
+
+module.exports = { createMockServer, loadFixture };
@@ -0,0 +1,204 @@
+const fs = require("fs");
+
+// Rejeu hors ligne du corpus de questions (QUIZ_CORPUS_FILE) contre findBestAnswer,
+// sans appel au serveur quiz, pour mesurer la précision par résolveur et par type de question.
+// Usage: npm run replay -- [--corpus question_corpus.jsonl] [--json] [--verbose] [--with-database]
+// La base n'est jamais modifiée; QUIZ_DISABLED_RESOLVERS / QUIZ_RESOLVER_ORDER s'appliquent.
+// La base a été apprise sur ce même corpus: par défaut les résolveurs "database" et
+// "elimination" sont exclus (et les options refusées ignorées), sinon ils répondraient
+// à presque tout et les autres résolveurs ne seraient jamais mesurés.
+process.env.QUIZ_DB_READONLY = 'true';
+
+let server;
+try {
+    server = require("./server");
+} catch (error) {
+    // Configuration invalide (QUIZ_CONFIG_FILE, variables QUIZ_*)
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+const { questionDB, questionClassifier, runHistory, findBestAnswer, CORPUS_FILE } = server;
+
+function parseArgs(argv) {
+    const args = { corpus: CORPUS_FILE || "question_corpus.jsonl", json: false, verbose: false, withDatabase: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--corpus') args.corpus = argv[++i];
+        else if (argv[i] === '--json') args.json = true;
+        else if (argv[i] === '--verbose') args.verbose = true;
+        else if (argv[i] === '--with-database') args.withDatabase = true;
+        else throw new Error(`Argument inconnu: ${argv[i]}`);
+    }
+    return args;
+}
+
+// Lignes "question" complétées par leur ligne "outcome" (même id); les anciennes
+// lignes, question et résultat ensemble, sont lues telles quelles
+function readCorpus(file) {
+    const records = [];
+    const questions = new Map();
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+    lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            const record = JSON.parse(line);
+            if (record.type === "outcome") {
+                // Seul le premier sort compte: une erreur après la soumission n'efface pas son résultat
+                const question = questions.get(record.id);
+                if (question) {
+                    const { type, id, timestamp, ...outcome } = record;
+                    Object.assign(question, outcome);
+                    questions.delete(record.id);
+                }
+                return;
+            }
+            if (record.payload && Array.isArray(record.payload.options)) {
+                records.push(record);
+                if (record.type === "question") questions.set(record.id, record);
+            }
+        } catch (error) {
+            console.error(`⚠️ Ligne ${i + 1} ignorée: ${error.message}`);
+        }
+    });
+    return records;
+}
+
+function questionKey(payload) {
+    return questionDB.generateKey(payload.songInfo?.title || '', payload.questionText, payload.options.map(String));
+}
+
+// Vérité connue par question: la réponse acceptée, et les réponses refusées
+function buildTruth(records) {
+    const truth = new Map();
+    for (const record of records) {
+        const key = questionKey(record.payload);
+        const entry = truth.get(key) || { correct: null, wrong: new Set() };
+        if (record.correct === true) entry.correct = String(record.answer);
+        if (record.correct === false) entry.wrong.add(String(record.answer));
+        truth.set(key, entry);
+    }
+    return truth;
+}
+
+function judge(truth, answer) {
+    if (truth.correct !== null) return answer === truth.correct ? "correct" : "incorrect";
+    if (truth.wrong.has(answer)) return "incorrect";
+    return "unknown";
+}
+
+function emptyCounters() {
+    return { records: 0, answered: 0, correct: 0, incorrect: 0, unknown: 0, humanNeeded: 0 };
+}
+
+function withAccuracy(counters) {
+    const judged = counters.correct + counters.incorrect;
+    return {
+        ...counters,
+        accuracy: judged > 0 ? ((counters.correct / judged) * 100).toFixed(2) + '%' : null
+    };
+}
+
+function evaluate(records, { withDatabase = false } = {}) {
+    const truth = buildTruth(records);
+    const overall = emptyCounters();
+    const recorded = emptyCounters();
+    const byResolver = {};
+    const byType = {};
+
+    for (const record of records) {
+        const { payload } = record;
+        const key = questionKey(payload);
+        const result = findBestAnswer(payload.questionText, payload.songInfo?.title || '', payload.options, {
+            ignoreDatabase: !withDatabase
+        });
+        const type = result.questionType || "unknown";
+
+        byType[type] = byType[type] || emptyCounters();
+        const counters = [overall, byType[type]];
+        counters.forEach(counter => counter.records++);
+
+        // Résultat obtenu en production, pour comparaison
+        recorded.records++;
+        recorded.answered++;
+        if (record.correct === true) recorded.correct++;
+        else if (record.correct === false) recorded.incorrect++;
+        else recorded.unknown++;
+
+        if (!result.answer) {
+            counters.forEach(counter => counter.humanNeeded++);
+            continue;
+        }
+
+        byResolver[result.source] = byResolver[result.source] || emptyCounters();
+        counters.push(byResolver[result.source]);
+        byResolver[result.source].records++;
+
+        const verdict = judge(truth.get(key), String(result.answer));
+        counters.forEach(counter => {
+            counter.answered++;
+            counter[verdict]++;
+        });
+    }
+
+    const mapValues = (object) => Object.fromEntries(
+        Object.entries(object).map(([name, counters]) => [name, withAccuracy(counters)])
+    );
+
+    return {
+        databaseIgnored: !withDatabase,
+        records: records.length,
+        uniqueQuestions: truth.size,
+        withKnownAnswer: [...truth.values()].filter(entry => entry.correct !== null).length,
+        overall: withAccuracy(overall),
+        recorded: withAccuracy(recorded),
+        resolvers: mapValues(byResolver),
+        questionTypes: mapValues(byType)
+    };
+}
+
+function printTable(title, rows) {
+    console.log(`\n${title}`);
+    for (const [name, counters] of Object.entries(rows)) {
+        console.log(`   ${name.padEnd(14)} ${String(counters.answered).padStart(5)} répondues, ` +
+            `✅ ${counters.correct} ❌ ${counters.incorrect} ❔ ${counters.unknown}, ` +
+            `👤 ${counters.humanNeeded}, précision ${counters.accuracy || '—'}`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const records = readCorpus(args.corpus);
+
+    // Le chargement et findBestAnswer journalisent chaque étape: silencieux sauf avec --verbose
+    const log = console.log;
+    if (!args.verbose) console.log = () => {};
+    let report;
+    try {
+        // L'historique aussi, pour que son chargement ne journalise pas après le rapport
+        await Promise.all([questionDB.ready, questionClassifier.ready, runHistory.ready]);
+        if (questionDB.loadError) {
+            throw new Error(`Base de données illisible: ${questionDB.loadError}`);
+        }
+        report = evaluate(records, { withDatabase: args.withDatabase });
+    } finally {
+        console.log = log;
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({ corpus: args.corpus, ...report }, null, 2));
+        return;
+    }
+
+    console.log(`🔁 Rejeu de ${args.corpus}: ${report.records} questions (${report.uniqueQuestions} distinctes, ${report.withKnownAnswer} avec réponse connue)`);
+    if (report.databaseIgnored) {
+        console.log("⚠️ Base ignorée: résolveurs database et elimination exclus, options refusées non écartées (--with-database pour les inclure)");
+    }
+    printTable("📊 Global", { rejeu: report.overall, production: report.recorded });
+    printTable("🧩 Par résolveur", report.resolvers);
+    printTable("🏷️ Par type de question", report.questionTypes);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
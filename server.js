@@ -2,20 +2,301 @@ const express = require("express");
 const axios = require("axios");
 const fs = require("fs").promises;
 const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
+// Console web d'intervention humaine
+app.use("/console", express.static(path.join(__dirname, "public")));
+app.use(authenticate);
 
 // Configuration
-const BASE_URL = "https://songquiz.lumitel.bi:8081";
-const DATABASE_FILE = "quiz_answers_db.json";
+// Chaque réglage a une valeur par défaut, surchargée par le fichier de configuration
+// (QUIZ_CONFIG_FILE, JSON optionnel) puis par sa variable d'environnement.
+// Les réglages marqués `run` peuvent aussi être donnés dans le corps de /start-bot,
+// /schedule-bot et /resume-run pour un seul run. Une valeur invalide arrête le démarrage.
+const CONFIG_FILE = process.env.QUIZ_CONFIG_FILE || "quiz_config.json";
+// Résolveurs enregistrés plus bas (registerResolver), dans leur ordre par défaut
+const RESOLVER_NAMES = ["database", "elimination", "strstr", "artist_title", "fuzzy"];
+const CONFIG_SCHEMA = {
+    port: { env: "PORT", type: "integer", min: 1, max: 65535, default: 8080 },
+    // QUIZ_BASE_URL permet de pointer vers le serveur simulé (npm run mock)
+    baseUrl: { env: "QUIZ_BASE_URL", type: "url", default: "https://songquiz.lumitel.bi:8081" },
+    databaseFile: { env: "QUIZ_DB_FILE", type: "string", default: "quiz_answers_db.json" },
+    // Base en lecture seule (ex: rejeu du corpus avec npm run replay): rien n'est écrit sur disque
+    databaseReadOnly: { env: "QUIZ_DB_READONLY", type: "boolean", default: false },
+    backupDir: { env: "QUIZ_DB_BACKUP_DIR", type: "string", default: "backups" },
+    backupCount: { env: "QUIZ_DB_BACKUP_COUNT", type: "integer", min: 1, default: 10 },
+    // Corpus brut des questions reçues et de leurs résultats (JSONL); vide pour désactiver
+    corpusFile: { env: "QUIZ_CORPUS_FILE", type: "string", allowEmpty: true, default: "question_corpus.jsonl" },
+    questionTypesFile: { env: "QUIZ_QUESTION_TYPES_FILE", type: "string", default: path.join(__dirname, "question_types.json") },
+    // État du bot (run en cours, plannings, token) conservé entre deux redémarrages
+    stateFile: { env: "QUIZ_STATE_FILE", type: "string", default: "bot_state.json" },
+    // Un planning manqué pendant l'arrêt démarre encore s'il a moins de scheduleGrace secondes de retard
+    scheduleGrace: { env: "QUIZ_SCHEDULE_GRACE", type: "integer", min: 0, default: 900 },
+    // Reprise automatique au démarrage d'un run interrompu (sinon via POST /resume-run)
+    autoResume: { env: "QUIZ_AUTO_RESUME", type: "boolean", default: false },
+    // Fuseau horaire IANA par défaut des plannings (sinon celui de l'hôte)
+    timezone: { env: "QUIZ_TIMEZONE", type: "timezone", default: Intl.DateTimeFormat().resolvedOptions().timeZone },
+    // Historique des runs (un fichier par run) et nombre de runs conservés
+    historyDir: { env: "QUIZ_HISTORY_DIR", type: "string", default: "history" },
+    historyMaxRuns: { env: "QUIZ_HISTORY_MAX_RUNS", type: "integer", min: 1, default: 500 },
+    // Appels au serveur quiz: délai par requête (ms), tentatives et seuil du disjoncteur
+    httpTimeout: { env: "QUIZ_HTTP_TIMEOUT", type: "integer", min: 1, default: 10000 },
+    httpMaxAttempts: { env: "QUIZ_HTTP_MAX_ATTEMPTS", type: "integer", min: 1, default: 4 },
+    circuitBreakerThreshold: { env: "QUIZ_CIRCUIT_BREAKER_THRESHOLD", type: "integer", min: 1, default: 5 },
+    // Clés d'accès à l'API (séparées par des virgules): lecture seule et opérateur.
+    // Sans aucune clé, le serveur refuse de démarrer, sauf avec apiAuth "disabled"
+    // (API ouverte à tous, pour le développement seulement).
+    apiAuth: { env: "QUIZ_API_AUTH", type: "enum", values: ["enabled", "disabled"], default: "enabled" },
+    apiReadonlyKeys: { env: "QUIZ_API_READONLY_KEYS", type: "list", secret: true, default: [] },
+    apiOperatorKeys: { env: "QUIZ_API_OPERATOR_KEYS", type: "list", secret: true, default: [] },
+    // Webhooks sortants: URL, secret de signature, événements envoyés, délai (ms) et tentatives
+    webhookUrls: { env: "QUIZ_WEBHOOK_URLS", type: "urlList", secret: true, default: [] },
+    webhookSecret: { env: "QUIZ_WEBHOOK_SECRET", type: "string", allowEmpty: true, secret: true, default: "" },
+    webhookEvents: { env: "QUIZ_WEBHOOK_EVENTS", type: "list", default: ["question-pending", "token-expired", "bot-stopped", "error"] },
+    webhookTimeout: { env: "QUIZ_WEBHOOK_TIMEOUT", type: "integer", min: 1, default: 5000 },
+    webhookMaxAttempts: { env: "QUIZ_WEBHOOK_MAX_ATTEMPTS", type: "integer", min: 1, default: 5 },
+    // Journalisation: niveau minimal, format (text ou json) et entrées gardées en mémoire pour GET /logs
+    logLevel: { env: "QUIZ_LOG_LEVEL", type: "enum", values: ["debug", "info", "warn", "error"], default: "info" },
+    logFormat: { env: "QUIZ_LOG_FORMAT", type: "enum", values: ["text", "json"], default: "text" },
+    logBuffer: { env: "QUIZ_LOG_BUFFER", type: "integer", min: 1, default: 1000 },
+    // Score minimal (0-1) pour accepter une correspondance approximative
+    fuzzyThreshold: { env: "FUZZY_THRESHOLD", type: "number", min: 0, max: 1, default: 0.75 },
+    // Ordre des résolveurs (les absents sont ajoutés à la fin) et résolveurs désactivés
+    resolverOrder: { env: "QUIZ_RESOLVER_ORDER", type: "list", values: RESOLVER_NAMES, default: RESOLVER_NAMES },
+    disabledResolvers: { env: "QUIZ_DISABLED_RESOLVERS", type: "list", values: RESOLVER_NAMES, default: [] },
+    // Longueur d'une manche: fixée par le serveur quiz, elle doit correspondre à la sienne
+    // (une manche se termine aussi dès que le serveur répond status "completed")
+    questionsPerRound: { env: "QUIZ_QUESTIONS_PER_ROUND", type: "integer", min: 1, max: 100, default: 10 },
+    // Déroulement d'un run: pauses (ms), boost des réponses et délais (s) d'intervention
+    // humaine / de nouveau token (null: attente illimitée; au plus ~24 jours, limite de setTimeout)
+    questionDelay: { env: "QUIZ_QUESTION_DELAY", type: "integer", min: 0, run: true, default: 1000 },
+    roundDelay: { env: "QUIZ_ROUND_DELAY", type: "integer", min: 0, run: true, default: 2000 },
+    errorDelay: { env: "QUIZ_ERROR_DELAY", type: "integer", min: 0, run: true, default: 2000 },
+    boost: { env: "QUIZ_BOOST", type: "boolean", run: true, default: true },
+    humanTimeout: { env: "QUIZ_HUMAN_TIMEOUT", type: "number", min: 0, exclusiveMin: true, max: 2147483, nullable: true, run: true, default: null },
+    tokenTimeout: { env: "QUIZ_TOKEN_TIMEOUT", type: "number", min: 0, exclusiveMin: true, max: 2147483, nullable: true, run: true, default: null }
+};
+
+// Convertit et vérifie une valeur (chaîne d'environnement ou valeur JSON); lève une erreur lisible
+function parseConfigValue(name, spec, raw) {
+    if (raw === null && spec.nullable) return null;
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+
+    switch (spec.type) {
+        case "string":
+            if (typeof text !== 'string' || (!text && !spec.allowEmpty)) {
+                throw new Error(`${name}: chaîne non vide attendue`);
+            }
+            return text;
+        case "url":
+        case "urlList": {
+            const urls = spec.type === "url" ? [text] : parseConfigValue(name, { type: "list" }, raw);
+            for (const url of urls) {
+                let protocol;
+                try {
+                    protocol = new URL(url).protocol;
+                } catch (error) {
+                    protocol = null;
+                }
+                if (protocol !== 'http:' && protocol !== 'https:') {
+                    throw new Error(`${name}: URL http(s) invalide "${url}"`);
+                }
+            }
+            return spec.type === "url" ? String(text).replace(/\/+$/, '') : urls;
+        }
+        case "integer":
+        case "number": {
+            const value = typeof text === 'number' ? text : (text === '' ? NaN : Number(text));
+            if (!Number.isFinite(value) || (spec.type === "integer" && !Number.isInteger(value))) {
+                throw new Error(`${name}: ${spec.type === "integer" ? "entier" : "nombre"} attendu, reçu "${raw}"`);
+            }
+            if (spec.min !== undefined && (value < spec.min || (spec.exclusiveMin && value === spec.min))) {
+                throw new Error(`${name}: doit être ${spec.exclusiveMin ? '>' : '>='} ${spec.min}`);
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                throw new Error(`${name}: doit être <= ${spec.max}`);
+            }
+            return value;
+        }
+        case "boolean":
+            if (text === true || text === 'true' || text === '1') return true;
+            if (text === false || text === 'false' || text === '0') return false;
+            throw new Error(`${name}: true ou false attendu, reçu "${raw}"`);
+        case "enum":
+            if (!spec.values.includes(text)) {
+                throw new Error(`${name}: ${spec.values.join(', ')} attendu, reçu "${raw}"`);
+            }
+            return text;
+        case "list": {
+            let items;
+            if (Array.isArray(text) && text.every(item => typeof item === 'string')) {
+                items = text.map(item => item.trim()).filter(Boolean);
+            } else if (typeof text === 'string') {
+                items = parseKeyList(text);
+            } else {
+                throw new Error(`${name}: liste attendue (tableau ou valeurs séparées par des virgules)`);
+            }
+            const unknown = spec.values ? items.filter(item => !spec.values.includes(item)) : [];
+            if (unknown.length) {
+                throw new Error(`${name}: valeurs inconnues ${unknown.join(', ')} (attendu: ${spec.values.join(', ')})`);
+            }
+            return items;
+        }
+        case "timezone":
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: text });
+                return text;
+            } catch (error) {
+                throw new Error(`${name}: fuseau horaire inconnu "${raw}"`);
+            }
+        default:
+            throw new Error(`${name}: type ${spec.type} non géré`);
+    }
+}
+
+// Défauts < fichier < environnement; toutes les erreurs sont remontées d'un coup
+function loadConfig(env = process.env, file = CONFIG_FILE) {
+    const errors = [];
+    const values = {};
+    const sources = {};
+    let fileValues = {};
+    let fileLoaded = false;
+
+    try {
+        fileValues = JSON.parse(require("fs").readFileSync(file, 'utf8'));
+        fileLoaded = true;
+        if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+            errors.push(`${file}: objet JSON attendu`);
+            fileValues = {};
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') errors.push(`${file}: ${error.message}`);
+    }
+
+    for (const key of Object.keys(fileValues)) {
+        if (!CONFIG_SCHEMA[key]) errors.push(`${file}: réglage inconnu "${key}"`);
+    }
+
+    for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+        values[name] = spec.default;
+        sources[name] = "default";
+        try {
+            if (fileValues[name] !== undefined) {
+                values[name] = parseConfigValue(name, spec, fileValues[name]);
+                sources[name] = "file";
+            }
+            if (env[spec.env] !== undefined) {
+                values[name] = parseConfigValue(`${name} (${spec.env})`, spec, env[spec.env]);
+                sources[name] = "env";
+            }
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (errors.length) {
+        throw new Error(`Configuration invalide:\n   - ${errors.join('\n   - ')}`);
+    }
+    return { values, sources, file: fileLoaded ? file : null };
+}
+
+// Réglages `run` donnés dans un corps de requête (les autres champs sont ignorés)
+function parseRunOptions(body = {}) {
+    const overrides = {};
+    for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (spec.run && body[name] !== undefined && body[name] !== null) {
+            overrides[name] = parseConfigValue(name, spec, body[name]);
+        }
+    }
+    return overrides;
+}
+
+// Nombre de manches demandé par /start-bot ou /schedule-bot
+function parseRounds(value) {
+    return parseConfigValue("rounds", { type: "integer", min: 1 }, value);
+}
+
+// Réglages effectifs d'un run: la configuration, surchargée par les options du run
+function resolveRunOptions(options = {}) {
+    const resolved = {};
+    for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (spec.run) resolved[name] = options[name] ?? config[name];
+    }
+    return resolved;
+}
+
+let loadedConfig;
+try {
+    loadedConfig = loadConfig();
+} catch (error) {
+    // Chargé par replay.js ou un test: l'appelant reçoit l'erreur
+    if (require.main !== module) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+const config = Object.freeze(loadedConfig.values);
+
+const BASE_URL = config.baseUrl;
+const DATABASE_FILE = config.databaseFile;
+const API_READONLY_KEYS = config.apiReadonlyKeys;
+const API_OPERATOR_KEYS = config.apiOperatorKeys;
+const WEBHOOK_URLS = config.webhookUrls;
+const WEBHOOK_SECRET = config.webhookSecret;
+const WEBHOOK_EVENTS = config.webhookEvents;
+const WEBHOOK_TIMEOUT = config.webhookTimeout;
+const WEBHOOK_MAX_ATTEMPTS = config.webhookMaxAttempts;
+const WEBHOOK_LOG_SIZE = 200;
+const DB_READONLY = config.databaseReadOnly;
+const CORPUS_FILE = config.corpusFile;
+const UPSTREAM_TIMEOUT = config.httpTimeout;
+const UPSTREAM_MAX_ATTEMPTS = config.httpMaxAttempts;
+const UPSTREAM_BACKOFF_BASE = 500;
+const UPSTREAM_BACKOFF_MAX = 15000;
+const CIRCUIT_BREAKER_THRESHOLD = config.circuitBreakerThreshold;
+const QUESTION_TYPES_FILE = config.questionTypesFile;
+const DB_BACKUP_DIR = config.backupDir;
+const DB_BACKUP_COUNT = config.backupCount;
+const DB_BACKUP_INTERVAL = 60 * 60 * 1000; // Une sauvegarde par heure au plus
+const STATE_FILE = config.stateFile;
+const STATE_VERSION = 2;
+const SCHEDULE_MISSED_GRACE = config.scheduleGrace * 1000;
+const AUTO_RESUME = config.autoResume;
+const HISTORY_DIR = config.historyDir;
+const HISTORY_MAX_RUNS = config.historyMaxRuns;
+const DEFAULT_TIMEZONE = config.timezone;
+// Le planificateur se réveille au moins une fois par minute (changement d'heure système)
+const SCHEDULER_MAX_SLEEP = 60 * 1000;
+const LOG_LEVEL = config.logLevel;
+const LOG_FORMAT = config.logFormat;
+const LOG_BUFFER_SIZE = config.logBuffer;
+const FUZZY_THRESHOLD = config.fuzzyThreshold;
+// Écart minimal avec la 2e meilleure option, pour éviter les choix ambigus
+const FUZZY_MIN_MARGIN = 0.1;
+// En dessous, une similarité relève du bruit et n'est pas proposée comme suggestion
+const SUGGESTION_MIN_SCORE = 0.5;
+// Confiance d'une réponse connue dans la base, parmi les suggestions
+const DATABASE_CANDIDATE_SCORE = 0.95;
+const RESOLVER_ORDER = config.resolverOrder;
+const DISABLED_RESOLVERS = config.disabledResolvers;
+const QUESTIONS_PER_ROUND = config.questionsPerRound;
 
 // Variables d'état globales
 let isProcessing = false;
 let waitingForToken = false;
 let waitingForHumanIntervention = false;
+// Pause demandée: le run s'arrête au prochain point d'arrêt (entre deux questions)
+let isPaused = false;
+let pausedAt = null;
 let authToken = '';
-let scheduledTime = null;
+// Tous les tokens vus depuis le démarrage (actuel, remplacés, plannings), masqués par redactSecrets
+const knownSecrets = new Set();
+// Raison du dernier arrêt du bot et dernière erreur du serveur quiz
+let stopReason = null;
+let lastUpstreamError = null;
+let consecutiveUpstreamFailures = 0;
 let currentStats = {
     roundsPlayed: 0,
     totalQuestions: 0,
@@ -24,33 +305,258 @@ let currentStats = {
     errors: 0
 };
 
+// Réglages effectifs du run en cours (voir resolveRunOptions)
+let runOptions = {};
+
+// Progression du run en cours: { rounds, options, round, questionNumber, startedAt }
+let currentRun = null;
+// Promesse du run lancé (voir launchRun), null une fois réglée: un run arrêté peut
+// encore dormir entre deux questions, aucun autre run ne démarre avant sa fin
+let runPromise = null;
+// Plannings par nom (voir createSchedule)
+const schedules = new Map();
+let schedulerTimer = null;
+// Run interrompu (redémarrage, disjoncteur...), reprenable via POST /resume-run
+let interruptedRun = null;
+
 // Question en attente d'intervention humaine
 let pendingQuestion = null;
 
+// Événements du bot: "bot-event" est diffusé aux clients SSE (GET /events),
+// les autres noms ("human-answer", "stop-requested", "bot-paused"...) ne servent qu'en interne.
+const botEvents = new EventEmitter();
+botEvents.setMaxListeners(100);
+
+// Journal du bot: chaque entrée porte son niveau et, pendant un run, les champs de
+// corrélation runId / round / question. Format "text": les lignes emoji habituelles;
+// format "json": une entrée JSON par ligne. Les dernières entrées restent en mémoire (GET /logs).
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+class Logger {
+    constructor({ level, format, bufferSize }) {
+        this.level = LOG_LEVELS[level] ? level : "info";
+        this.format = format === "json" ? "json" : "text";
+        this.bufferSize = bufferSize;
+        this.entries = [];
+        this.sequence = 0;
+    }
+
+    enabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.enabled(level)) return;
+
+        const text = redactSecrets(message);
+        const entry = {
+            seq: ++this.sequence,
+            timestamp: Date.now(),
+            level,
+            message: text.trim()
+        };
+        if (currentRun) {
+            entry.runId = currentRun.runId;
+            entry.round = currentRun.round;
+            entry.question = currentRun.questionNumber;
+        }
+        for (const [name, value] of Object.entries(fields)) {
+            entry[name] = typeof value === 'string' ? redactSecrets(value) : value;
+        }
+
+        this.entries.push(entry);
+        if (this.entries.length > this.bufferSize) {
+            this.entries.splice(0, this.entries.length - this.bufferSize);
+        }
+
+        const write = level === "error" ? console.error : console.log;
+        if (this.format === "json") {
+            write(JSON.stringify({ ...entry, timestamp: new Date(entry.timestamp).toISOString() }));
+        } else {
+            write(text);
+        }
+    }
+
+    debug(message, fields) { this.log("debug", message, fields); }
+    info(message, fields) { this.log("info", message, fields); }
+    warn(message, fields) { this.log("warn", message, fields); }
+    error(message, fields) { this.log("error", message, fields); }
+
+    // Entrées de niveau >= level, postérieures à since (timestamp), les plus récentes en dernier
+    query({ level, since, runId, limit } = {}) {
+        const minimum = LOG_LEVELS[level] || 0;
+        const entries = this.entries.filter(entry =>
+            LOG_LEVELS[entry.level] >= minimum &&
+            (!since || entry.timestamp > since) &&
+            (!runId || entry.runId === runId)
+        );
+        return limit ? entries.slice(-limit) : entries;
+    }
+}
+
+const logger = new Logger({ level: LOG_LEVEL, format: LOG_FORMAT, bufferSize: LOG_BUFFER_SIZE });
+
 // Base de données des réponses
+// Format v2: { version: 2, entries: { clé: enregistrement } } où chaque enregistrement
+// garde la réponse, sa provenance et son historique de confirmations.
+// L'ancien format v1 (clé -> réponse) est migré automatiquement au chargement.
+const DATABASE_VERSION = 2;
+
+// Format v1: objet simple dont toutes les valeurs sont des réponses (chaînes).
+// Tout autre contenu (version inconnue, tableau, null) n'est pas migré
+function isV1Database(parsed) {
+    return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) &&
+        !('version' in parsed) && Object.values(parsed).every(value => typeof value === 'string');
+}
+
 class QuestionDatabase {
     constructor() {
         this.db = {};
-        this.loadDatabase();
+        this.loaded = false;
+        this.readOnly = DB_READONLY;
+        // Erreur de lecture/parsing: le fichier existant ne doit pas être écrasé
+        this.loadError = null;
+        this.writeQueue = Promise.resolve();
+        this.lastBackupAt = 0;
+        // Promesse de chargement, à attendre avant de démarrer le bot
+        this.ready = this.loadDatabase();
     }
 
     async loadDatabase() {
+        let data;
+        try {
+            data = await fs.readFile(DATABASE_FILE, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                logger.info("📝 Nouvelle base de données créée");
+                this.db = {};
+            } else {
+                this.loadError = error.message;
+                logger.error(`❌ Lecture DB impossible: ${error.message}`);
+            }
+            this.loaded = true;
+            return;
+        }
+
         try {
-            const data = await fs.readFile(DATABASE_FILE, 'utf8');
-            this.db = JSON.parse(data);
-            console.log(`📚 Base de données chargée: ${Object.keys(this.db).length} questions`);
+            const parsed = JSON.parse(data);
+
+            if (parsed && parsed.version === DATABASE_VERSION) {
+                this.db = parsed.entries || {};
+                for (const record of Object.values(this.db)) {
+                    record.eliminated = record.eliminated || [];
+                }
+                logger.info(`📚 Base de données chargée: ${Object.keys(this.db).length} questions`);
+            } else if (isV1Database(parsed)) {
+                await this.migrateFromV1(parsed, data);
+            } else {
+                throw new Error(`format inconnu (version ${parsed?.version ?? "absente"})`);
+            }
         } catch (error) {
-            console.log("📝 Nouvelle base de données créée");
+            this.loadError = error.message;
             this.db = {};
+            logger.error(`❌ Base de données illisible (${error.message}): ${DATABASE_FILE} ne sera pas écrasé`);
+        }
+        this.loaded = true;
+    }
+
+    // Migration unique du format plat v1 (clé -> réponse) vers v2
+    async migrateFromV1(flatDb, rawData) {
+        const now = Date.now();
+        this.db = {};
+
+        const skipped = [];
+        for (const [key, answer] of Object.entries(flatDb)) {
+            try {
+                this.db[key] = this.recordFromV1(key, answer, now);
+            } catch (error) {
+                skipped.push(key);
+            }
+        }
+        if (skipped.length) {
+            logger.warn(`⚠️ ${skipped.length} clés v1 ignorées (découpage ambigu, conservées dans la copie v1): ${skipped.join(' | ')}`);
+        }
+
+        if (this.readOnly) {
+            logger.info(`🔄 Base de données v1 convertie en mémoire: ${Object.keys(this.db).length} questions (lecture seule)`);
+            return;
         }
+
+        // Copie de l'ancien fichier, pour ne rien perdre en cas de problème; une copie
+        // laissée par une migration précédente n'est jamais remplacée
+        const baseName = DATABASE_FILE.replace(/\.json$/, '');
+        let backupFile = `${baseName}.v1.json`;
+        try {
+            await fs.writeFile(backupFile, rawData, { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            backupFile = `${baseName}.v1-${new Date(now).toISOString().replace(/[:.]/g, '-')}.json`;
+            await fs.writeFile(backupFile, rawData, { flag: 'wx' });
+        }
+        await this.saveDatabase();
+        logger.info(`🔄 Base de données migrée en v${DATABASE_VERSION}: ${Object.keys(this.db).length} questions (sauvegarde: ${backupFile})`);
+    }
+
+    // Les écritures passent par une file pour ne jamais se chevaucher
+    saveDatabase() {
+        if (this.readOnly) {
+            return Promise.resolve(false);
+        }
+
+        if (this.loadError) {
+            logger.error(`❌ Sauvegarde DB refusée: le fichier n'a pas pu être chargé (${this.loadError})`);
+            return Promise.resolve(false);
+        }
+
+        this.writeQueue = this.writeQueue
+            .then(() => this.writeToDisk())
+            .then(() => {
+                logger.info(`💾 Base de données sauvegardée (${Object.keys(this.db).length} questions)`);
+                return true;
+            })
+            .catch(error => {
+                logger.error(`❌ Erreur sauvegarde DB: ${error.message}`);
+                return false;
+            });
+        return this.writeQueue;
+    }
+
+    async writeToDisk() {
+        const data = JSON.stringify({ version: DATABASE_VERSION, entries: this.db }, null, 2);
+
+        // Sauvegarde au mieux: un dossier de sauvegardes plein ou en lecture seule
+        // ne doit pas empêcher l'écriture de la base
+        try {
+            await this.rotateBackups();
+        } catch (error) {
+            logger.warn(`⚠️ Sauvegarde de la base impossible (${DB_BACKUP_DIR}): ${error.message}`);
+            // Nouvel essai à l'intervalle suivant, plutôt qu'à chaque écriture
+            this.lastBackupAt = Date.now();
+        }
+        await writeFileAtomic(DATABASE_FILE, data);
     }
 
-    async saveDatabase() {
+    // Copie horodatée du fichier actuel (au plus une par intervalle), en gardant les plus récentes
+    async rotateBackups() {
+        if (Date.now() - this.lastBackupAt < DB_BACKUP_INTERVAL) return;
+
         try {
-            await fs.writeFile(DATABASE_FILE, JSON.stringify(this.db, null, 2));
-            console.log(`💾 Base de données sauvegardée (${Object.keys(this.db).length} questions)`);
+            await fs.access(DATABASE_FILE);
         } catch (error) {
-            console.error(`❌ Erreur sauvegarde DB: ${error.message}`);
+            return;
+        }
+
+        await fs.mkdir(DB_BACKUP_DIR, { recursive: true });
+        const baseName = path.basename(DATABASE_FILE, '.json');
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        await fs.copyFile(DATABASE_FILE, path.join(DB_BACKUP_DIR, `${baseName}.${stamp}.json`));
+        this.lastBackupAt = Date.now();
+
+        const backups = (await fs.readdir(DB_BACKUP_DIR))
+            .filter(file => file.startsWith(`${baseName}.`) && file.endsWith('.json'))
+            .sort();
+        for (const file of backups.slice(0, Math.max(0, backups.length - DB_BACKUP_COUNT))) {
+            await fs.unlink(path.join(DB_BACKUP_DIR, file));
         }
     }
 
@@ -59,89 +565,1655 @@ class QuestionDatabase {
         return `${String(title)}::${String(questionText)}::${optionsStr}`;
     }
 
+    // answer peut être null: on ne connaît alors que les options éliminées
+    createRecord(title, questionText, options, answer, source, now = Date.now()) {
+        return {
+            title: String(title),
+            questionText: String(questionText),
+            options: options.map(opt => String(opt)),
+            answer: answer === null || answer === undefined ? null : String(answer),
+            source,
+            firstSeen: now,
+            lastConfirmed: null,
+            hits: 0,
+            confirmedCorrect: 0,
+            contradicted: 0,
+            eliminated: []
+        };
+    }
+
+    // Les clés v1 ont la forme "titre::question::option1|option2|..."
+    // Une clé v1 n'est découpable sans ambiguïté que si ni le titre, ni la question, ni
+    // les options ne contiennent '::' ou '|': sinon la clé est refusée plutôt que devinée
+    recordFromV1(key, answer, now = Date.now()) {
+        const parts = key.split('::');
+        const [title, questionText, optionsStr] = parts;
+        const options = optionsStr ? optionsStr.split('|') : [];
+
+        if (parts.length !== 3 || !options.length || !options.includes(String(answer)) ||
+            this.generateKey(title, questionText, options) !== key) {
+            throw new Error(`Clé v1 ambiguë ou invalide: '${key}'`);
+        }
+        return this.createRecord(title, questionText, options, answer, "human", now);
+    }
+
+    getRecord(title, questionText, options) {
+        return this.db[this.generateKey(title, questionText, options)] || null;
+    }
+
     findAnswer(title, questionText, options) {
-        const key = this.generateKey(title, questionText, options);
-        const answer = this.db[key];
-        if (answer && options.map(opt => String(opt)).includes(String(answer))) {
-            return String(answer);
+        const record = this.getRecord(title, questionText, options);
+        if (record && record.answer !== null && options.map(opt => String(opt)).includes(record.answer)) {
+            record.hits++;
+            return record.answer;
         }
         return null;
     }
 
-    async saveAnswer(title, questionText, options, correctAnswer) {
+    async saveAnswer(title, questionText, options, correctAnswer, source = "human") {
         const key = this.generateKey(title, questionText, options);
-        this.db[key] = String(correctAnswer);
+        const existing = this.db[key];
+        const now = Date.now();
+
+        if (existing && existing.answer === String(correctAnswer)) {
+            existing.confirmedCorrect++;
+            existing.lastConfirmed = now;
+        } else {
+            this.db[key] = {
+                ...this.createRecord(title, questionText, options, correctAnswer, source, now),
+                firstSeen: existing ? existing.firstSeen : now,
+                hits: existing ? existing.hits : 0,
+                confirmedCorrect: 1,
+                lastConfirmed: now,
+                eliminated: existing ? existing.eliminated.filter(opt => opt !== String(correctAnswer)) : []
+            };
+        }
+
+        await this.saveDatabase();
+        logger.info(`💾 Question sauvegardée: '${title}' -> '${correctAnswer}' (${source})`);
+    }
+
+    // Réponse de la base confirmée correcte
+    async confirmAnswer(title, questionText, options) {
+        const record = this.getRecord(title, questionText, options);
+        if (!record) return;
+
+        record.confirmedCorrect++;
+        record.lastConfirmed = Date.now();
+        await this.saveDatabase();
+    }
+
+    // Réponse refusée, quelle que soit sa source: l'option est éliminée pour cette question.
+    // Une réponse de la base contredite reste utilisée tant que ses confirmations
+    // l'emportent sur ses contradictions, sinon elle est invalidée.
+    async recordIncorrectAnswer(title, questionText, options, wrongAnswer) {
+        const key = this.generateKey(title, questionText, options);
+        const wrong = String(wrongAnswer);
+        let record = this.db[key];
+
+        if (!record) {
+            record = this.createRecord(title, questionText, options, null, null);
+            this.db[key] = record;
+        }
+
+        if (record.answer === wrong) {
+            record.contradicted++;
+            logger.warn(`⚠️ Réponse DB contredite: '${title}' -> '${wrong}' (${record.contradicted}x)`);
+
+            if (record.contradicted <= record.confirmedCorrect) {
+                await this.saveDatabase();
+                return;
+            }
+
+            logger.info(`🗑️ Réponse DB invalidée: '${title}' -> '${wrong}'`);
+            record.answer = null;
+        }
+
+        if (!record.eliminated.includes(wrong)) {
+            record.eliminated.push(wrong);
+        }
+        logger.info(`🚫 Option éliminée: '${wrong}' (${record.eliminated.length}/${record.options.length})`);
+        await this.saveDatabase();
+    }
+
+    getEliminatedOptions(title, questionText, options) {
+        const record = this.getRecord(title, questionText, options);
+        return record ? record.eliminated : [];
+    }
+
+    // Gestion de la base (API /db)
+    listEntries({ search, title, option } = {}) {
+        const searchNorm = normalizeText(search);
+        const titleNorm = normalizeText(title);
+        const optionNorm = normalizeText(option);
+
+        return Object.entries(this.db)
+            .filter(([, record]) => {
+                if (titleNorm && !normalizeText(record.title).includes(titleNorm)) return false;
+                if (optionNorm && !record.options.some(opt => normalizeText(opt).includes(optionNorm))) return false;
+                if (searchNorm) {
+                    const haystack = [record.title, record.questionText, record.answer, ...record.options]
+                        .map(normalizeText)
+                        .join(' ');
+                    if (!haystack.includes(searchNorm)) return false;
+                }
+                return true;
+            })
+            .map(([key, record]) => ({ key, ...record }));
+    }
+
+    getEntry(key) {
+        const record = this.db[key];
+        return record ? { key, ...record } : null;
+    }
+
+    async updateEntry(key, answer) {
+        const record = this.db[key];
+        if (!record) return null;
+
+        if (!record.options.includes(String(answer))) {
+            throw new Error(`Réponse non valide, options: ${record.options.join(', ')}`);
+        }
+
+        record.answer = String(answer);
+        record.eliminated = record.eliminated.filter(opt => opt !== record.answer);
+        record.source = "manual";
+        record.lastConfirmed = Date.now();
+        record.contradicted = 0;
+        await this.saveDatabase();
+        logger.info(`✏️ Réponse corrigée: '${record.title}' -> '${record.answer}'`);
+        return { key, ...record };
+    }
+
+    async deleteEntry(key) {
+        const record = this.db[key];
+        if (!record) return null;
+
+        delete this.db[key];
         await this.saveDatabase();
-        console.log(`💾 Question sauvegardée: '${title}' -> '${correctAnswer}'`);
+        logger.info(`🗑️ Question supprimée: '${record.title}'`);
+        return { key, ...record };
+    }
+
+    exportEntries() {
+        return Object.entries(this.db).map(([key, record]) => ({ key, ...record }));
+    }
+
+    // Accepte un tableau d'enregistrements (export JSON ou CSV); la clé est recalculée
+    async importEntries(records, { overwrite = true } = {}) {
+        const result = { imported: 0, skipped: 0, errors: [] };
+        const now = Date.now();
+
+        // Compteurs et dates: entiers positifs, ou la valeur par défaut si absents
+        const numberFields = { firstSeen: now, lastConfirmed: null, hits: 0, confirmedCorrect: 0, contradicted: 0 };
+
+        records.forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                result.errors.push({ index, error: "Objet attendu" });
+                return;
+            }
+
+            const numbers = {};
+            for (const [field, fallback] of Object.entries(numberFields)) {
+                const value = entry[field];
+                numbers[field] = (value === undefined || value === '' || value === null) ? fallback : Number(value);
+            }
+            const invalidField = Object.keys(numberFields).find(field =>
+                numbers[field] !== null && !(Number.isSafeInteger(numbers[field]) && numbers[field] >= 0)
+            );
+            if (invalidField) {
+                result.errors.push({ index, error: `${invalidField}: entier positif attendu, reçu '${entry[invalidField]}'` });
+                return;
+            }
+
+            const options = Array.isArray(entry.options)
+                ? entry.options.map(opt => String(opt))
+                : String(entry.options ?? '').split('|').filter(Boolean);
+
+            const eliminated = Array.isArray(entry.eliminated)
+                ? entry.eliminated.map(opt => String(opt))
+                : String(entry.eliminated ?? '').split('|').filter(Boolean);
+
+            if (entry.title === undefined || !entry.questionText || !options.length || (!entry.answer && !eliminated.length)) {
+                result.errors.push({ index, error: "title, questionText, options et answer (ou eliminated) requis" });
+                return;
+            }
+            if (entry.answer && !options.includes(String(entry.answer))) {
+                result.errors.push({ index, error: `Réponse '${entry.answer}' absente des options` });
+                return;
+            }
+
+            const key = this.generateKey(entry.title, entry.questionText, options);
+            if (this.db[key] && !overwrite) {
+                result.skipped++;
+                return;
+            }
+
+            const base = this.createRecord(entry.title, entry.questionText, options, entry.answer || null, entry.source || "import", now);
+            this.db[key] = {
+                ...base,
+                ...numbers,
+                eliminated: eliminated.filter(opt => options.includes(opt))
+            };
+            result.imported++;
+        });
+
+        if (result.imported > 0) {
+            await this.saveDatabase();
+        }
+        logger.info(`📥 Import: ${result.imported} importées, ${result.skipped} ignorées, ${result.errors.length} erreurs`);
+        return result;
     }
 
     normalizeText(text) {
-        if (!text) return "";
-        return text.toString().toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+        return normalizeText(text);
+    }
+}
+
+// Export/import CSV de la base
+const CSV_COLUMNS = ['key', 'title', 'questionText', 'options', 'answer', 'source',
+    'firstSeen', 'lastConfirmed', 'hits', 'confirmedCorrect', 'contradicted', 'eliminated'];
+
+function toCSV(rows) {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const str = Array.isArray(value) ? value.join('|') : String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const row of rows) {
+        lines.push(CSV_COLUMNS.map(column => escape(row[column])).join(','));
     }
+    return lines.join('\n') + '\n';
+}
+
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...data] = rows.filter(r => r.some(cell => cell !== ''));
+    if (!header) return [];
+    return data.map(cells => Object.fromEntries(header.map((column, i) => [column.trim(), cells[i] ?? ''])));
 }
 
 const questionDB = new QuestionDatabase();
 
-// Headers pour les requêtes
-const getHeaders = () => ({
-    'Authorization': `Bearer ${authToken}`,
-    'Content-Type': 'application/json',
-    'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64; rv:137.0) Gecko/20100101 Firefox/137.0'
-});
+// Classification des questions (artiste, titre, année, album...) à partir de
+// mots-clés et d'expressions régulières par langue, chargés depuis QUESTION_TYPES_FILE.
+// Mots-clés et expressions sont comparés au texte normalisé (minuscules, sans accents
+// ni ponctuation: "N'irihe zina" devient "nirihe zina").
+const DEFAULT_QUESTION_TYPES = {
+    types: ["artist", "title"],
+    languages: {
+        default: {
+            artist: { keywords: ["ninde", "yaririmvye", "artist", "singer", "chanteur"], patterns: [] },
+            title: { keywords: ["zina", "title", "titre"], patterns: [] }
+        }
+    }
+};
 
-// Routes API
-app.get("/", (req, res) => {
-    res.json({
-        message: "🎵 Quiz Musical Bot API",
-        version: "1.0",
-        status: getStatusString(),
-        endpoints: {
-            status: "GET /status - Statut détaillé du bot",
-            start: "POST /start-bot - Démarre immédiatement (body: {token, rounds})",
-            schedule: "POST /schedule-bot - Programme pour plus tard (body: {token, rounds, time})",
-            stop: "POST /stop-bot - Arrête le processus",
-            token: "POST /submit-token - Met à jour le token",
-            "human-answer": "POST /human-answer - Répond à une question en attente (body: {answer})",
-            "pending-question": "GET /pending-question - Récupère la question en attente",
-            stats: "GET /stats - Statistiques"
+class QuestionClassifier {
+    constructor() {
+        this.config = null;
+        this.rules = [];
+        this.detected = {};
+        this.unclassified = {};
+        this.compile(DEFAULT_QUESTION_TYPES);
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            const data = await fs.readFile(QUESTION_TYPES_FILE, 'utf8');
+            this.compile(JSON.parse(data));
+            logger.info(`🏷️ Types de questions chargés: ${this.config.types.join(', ')} (${Object.keys(this.config.languages).join(', ')})`);
+            return true;
+        } catch (error) {
+            logger.error(`❌ Chargement des types de questions (${QUESTION_TYPES_FILE}): ${error.message}`);
+            return false;
         }
-    });
-});
+    }
 
-app.get("/status", (req, res) => {
-    res.json({
-        isProcessing,
-        waitingForToken,
-        waitingForHumanIntervention,
-        hasToken: !!authToken,
-        scheduledTime,
-        currentStats: {
-            ...currentStats,
-            uptime: currentStats.startTime ? Date.now() - currentStats.startTime : 0
-        },
-        pendingQuestion: pendingQuestion ? {
-            questionText: pendingQuestion.questionText,
-            title: pendingQuestion.title,
-            options: pendingQuestion.options,
-            currentIndex: pendingQuestion.currentIndex
-        } : null
-    });
-});
+    // Valide puis remplace les règles actuelles; lève une erreur si la config est invalide
+    compile(config) {
+        if (!config || typeof config.languages !== 'object') {
+            throw new Error("'languages' requis");
+        }
+
+        const rules = [];
+        for (const [language, types] of Object.entries(config.languages)) {
+            for (const [type, rule] of Object.entries(types)) {
+                rules.push({
+                    language,
+                    type,
+                    keywords: (rule.keywords || []).map(normalizeText).filter(Boolean),
+                    patterns: (rule.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+                });
+            }
+        }
+
+        const types = config.types || [...new Set(rules.map(rule => rule.type))];
+        this.config = { types, languages: config.languages };
+        this.rules = rules;
+    }
+
+    // Un mot-clé vaut 1 point, une expression 2; le type le mieux noté l'emporte
+    classify(questionText) {
+        const text = normalizeText(questionText);
+        let best = { type: "unknown", language: null, score: 0, matched: [] };
+
+        for (const rule of this.rules) {
+            const matched = [];
+            let score = 0;
+
+            for (const keyword of rule.keywords) {
+                if (` ${text} `.includes(` ${keyword} `)) {
+                    score += 1;
+                    matched.push(keyword);
+                }
+            }
+            for (const pattern of rule.patterns) {
+                if (pattern.test(text)) {
+                    score += 2;
+                    matched.push(pattern.source);
+                }
+            }
+
+            if (score > best.score) {
+                best = { type: rule.type, language: rule.language, score, matched };
+            }
+        }
+
+        return best;
+    }
+
+    // Classe la question et la comptabilise (types détectés, questions non classées)
+    record(questionText) {
+        const classification = this.classify(questionText);
+        const text = String(questionText);
+
+        if (classification.type === "unknown") {
+            const entry = this.unclassified[text] || { questionText: text, count: 0, firstSeen: Date.now() };
+            entry.count++;
+            entry.lastSeen = Date.now();
+            this.unclassified[text] = entry;
+            logger.warn(`🏷️ Type de question inconnu: '${text}'`);
+        } else {
+            const entry = this.detected[classification.type] || { count: 0, languages: {}, examples: [] };
+            entry.count++;
+            entry.languages[classification.language] = (entry.languages[classification.language] || 0) + 1;
+            if (!entry.examples.includes(text) && entry.examples.length < 10) {
+                entry.examples.push(text);
+            }
+            this.detected[classification.type] = entry;
+        }
+
+        return classification;
+    }
+}
+
+const questionClassifier = new QuestionClassifier();
+
+// Historique des runs: un fichier JSON par run dans HISTORY_DIR, avec le détail
+// de chaque question jouée. Les runs les plus anciens au-delà de HISTORY_MAX_RUNS sont supprimés.
+class RunHistory {
+    constructor() {
+        this.runs = new Map();
+        this.writeQueue = Promise.resolve();
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            const files = (await fs.readdir(HISTORY_DIR)).filter(file => file.endsWith('.json'));
+
+            for (const file of files) {
+                try {
+                    const run = JSON.parse(await fs.readFile(path.join(HISTORY_DIR, file), 'utf8'));
+                    // Aucun run ne tourne au démarrage: ceux restés "running" ont été coupés.
+                    // Le changement est écrit sur disque (sauf en lecture seule, ex: rejeu
+                    // pendant qu'un bot tourne) pour ne pas le refaire à chaque démarrage.
+                    this.runs.set(run.runId, run);
+                    if (run.status === "running") {
+                        run.status = "interrupted";
+                        run.stopReason = run.stopReason || "Redémarrage du serveur";
+                        if (!DB_READONLY) this.save(run);
+                    }
+                } catch (error) {
+                    logger.error(`❌ Historique illisible, ignoré: ${file} (${error.message})`);
+                }
+            }
+            logger.info(`📜 Historique chargé: ${this.runs.size} runs`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`❌ Chargement de l'historique impossible: ${error.message}`);
+            }
+        }
+    }
+
+    generateRunId(now = new Date()) {
+        const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        return `${stamp}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    startRun({ rounds, options, trigger }) {
+        const run = {
+            runId: this.generateRunId(),
+            trigger,
+            status: "running",
+            startedAt: Date.now(),
+            endedAt: null,
+            resumedAt: [],
+            roundsRequested: rounds,
+            roundsPlayed: 0,
+            options,
+            stopReason: null,
+            stats: null,
+            questions: []
+        };
+        this.runs.set(run.runId, run);
+        this.save(run);
+        return run.runId;
+    }
+
+    // Reprise d'un run interrompu: les nouvelles questions s'ajoutent au même enregistrement
+    resumeRun(runId) {
+        const run = this.runs.get(runId);
+        if (!run) return false;
+
+        run.status = "running";
+        run.endedAt = null;
+        run.stopReason = null;
+        run.resumedAt.push(Date.now());
+        this.save(run);
+        return true;
+    }
+
+    recordQuestion(runId, entry, stats) {
+        const run = this.runs.get(runId);
+        if (!run) return;
+
+        run.questions.push({ timestamp: Date.now(), ...entry });
+        run.roundsPlayed = stats.roundsPlayed;
+        run.stats = { ...stats };
+        this.save(run);
+    }
+
+    finishRun(runId, { status, stopReason, stats }) {
+        const run = this.runs.get(runId);
+        if (!run) return Promise.resolve();
+
+        run.status = status;
+        run.stopReason = stopReason;
+        run.endedAt = Date.now();
+        run.roundsPlayed = stats.roundsPlayed;
+        run.stats = { ...stats };
+        this.save(run);
+        return this.prune();
+    }
+
+    save(run) {
+        const file = path.join(HISTORY_DIR, `${run.runId}.json`);
+        const data = JSON.stringify(run, null, 2);
+        this.writeQueue = this.writeQueue
+            .then(() => fs.mkdir(HISTORY_DIR, { recursive: true }))
+            .then(() => writeFileAtomic(file, data))
+            .catch(error => {
+                logger.error(`❌ Erreur sauvegarde historique (${run.runId}): ${error.message}`);
+            });
+        return this.writeQueue;
+    }
+
+    async prune() {
+        const runs = [...this.runs.values()].sort((a, b) => a.startedAt - b.startedAt);
+        const excess = runs.filter(run => run.status !== "running").slice(0, Math.max(runs.length - HISTORY_MAX_RUNS, 0));
+
+        for (const run of excess) {
+            this.runs.delete(run.runId);
+            this.writeQueue = this.writeQueue
+                .then(() => fs.unlink(path.join(HISTORY_DIR, `${run.runId}.json`)))
+                .catch(error => {
+                    logger.error(`❌ Suppression historique (${run.runId}): ${error.message}`);
+                });
+        }
+        return this.writeQueue;
+    }
+
+    summary(run) {
+        const { questions, ...rest } = run;
+        return {
+            ...rest,
+            questionCount: questions.length,
+            correctCount: questions.filter(question => question.correct === true).length
+        };
+    }
+
+    // Runs du plus récent au plus ancien, sans le détail des questions
+    list({ status, trigger, since, until } = {}) {
+        return [...this.runs.values()]
+            .filter(run => {
+                if (status && run.status !== status) return false;
+                if (trigger && !run.trigger.startsWith(trigger)) return false;
+                if (since && run.startedAt < since) return false;
+                if (until && run.startedAt > until) return false;
+                return true;
+            })
+            .sort((a, b) => b.startedAt - a.startedAt)
+            .map(run => this.summary(run));
+    }
+
+    get(runId, { round, source, correct, type, search } = {}) {
+        const run = this.runs.get(runId);
+        if (!run) return null;
+
+        const searchNorm = normalizeText(search);
+        const questions = run.questions.filter(question => {
+            if (round !== undefined && question.roundNumber !== round) return false;
+            if (source && question.source !== source) return false;
+            if (correct !== undefined && question.correct !== correct) return false;
+            if (type && question.questionType !== type) return false;
+            if (searchNorm) {
+                const haystack = [question.title, question.questionText, question.answer, ...question.options]
+                    .map(normalizeText)
+                    .join(' ');
+                if (!haystack.includes(searchNorm)) return false;
+            }
+            return true;
+        });
+
+        return { ...this.summary(run), questions };
+    }
+}
+
+const runHistory = new RunHistory();
+
+// Métriques Prometheus (GET /metrics, format texte 0.0.4)
+// Compteurs cumulés depuis le démarrage du processus (contrairement à /stats, remis à zéro à chaque run),
+// jauges calculées à la lecture et histogrammes de latence.
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        const values = new Map();
+        return this.register({
+            name,
+            help,
+            type: "counter",
+            inc(labels = {}, value = 1) {
+                const key = labelKey(labels);
+                const entry = values.get(key) || { labels, value: 0 };
+                entry.value += value;
+                values.set(key, entry);
+            },
+            samples: () => [...values.values()].map(({ labels, value }) => ({ name, labels, value }))
+        });
+    }
+
+    // collect() -> [{ labels, value }], appelé à chaque lecture
+    gauge(name, help, collect) {
+        return this.register({
+            name,
+            help,
+            type: "gauge",
+            samples: () => collect().map(({ labels = {}, value }) => ({ name, labels, value }))
+        });
+    }
+
+    histogram(name, help, buckets) {
+        const series = new Map();
+        return this.register({
+            name,
+            help,
+            type: "histogram",
+            observe(labels, value) {
+                const key = labelKey(labels);
+                const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+                series.set(key, entry);
+            },
+            samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((bound, i) => ({ name: `${name}_bucket`, labels: { ...labels, le: String(bound) }, value: counts[i] })),
+                { name: `${name}_bucket`, labels: { ...labels, le: "+Inf" }, value: count },
+                { name: `${name}_sum`, labels, value: sum },
+                { name: `${name}_count`, labels, value: count }
+            ])
+        });
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const { name, labels, value } of metric.samples()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort());
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+const BOT_STATES = ["WAITING_FOR_TOKEN", "PAUSED", "WAITING_FOR_HUMAN", "RUNNING", "SCHEDULED", "INTERRUPTED", "READY"];
+
+const metrics = new MetricsRegistry();
+const questionsCounter = metrics.counter("quiz_questions_total", "Questions reçues du serveur quiz, par type");
+const answersCounter = metrics.counter("quiz_answers_total", "Réponses soumises, par source et résultat (correct, incorrect, unconfirmed)");
+const humanInterventionsCounter = metrics.counter("quiz_human_interventions_total", "Interventions humaines demandées, par issue (answered, timeout, stopped)");
+const roundsCounter = metrics.counter("quiz_rounds_total", "Manches terminées");
+const runsCounter = metrics.counter("quiz_runs_total", "Runs terminés, par statut");
+const upstreamErrorsCounter = metrics.counter("quiz_upstream_errors_total", "Appels au serveur quiz en échec (chaque tentative), par opération et classe d'erreur");
+const webhookDeliveriesCounter = metrics.counter("quiz_webhook_deliveries_total", "Livraisons de webhooks terminées, par événement et statut");
+const upstreamDuration = metrics.histogram(
+    "quiz_upstream_request_duration_seconds",
+    "Durée des appels au serveur quiz (chaque tentative), par opération",
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+metrics.gauge("quiz_bot_state", "État du bot (1 pour l'état courant)", () => {
+    const current = getStatusString();
+    return BOT_STATES.map(state => ({ labels: { state }, value: state === current ? 1 : 0 }));
+});
+metrics.gauge("quiz_database_entries", "Questions dans la base de réponses", () => [
+    { value: Object.keys(questionDB.db).length }
+]);
+metrics.gauge("quiz_pending_question_age_seconds", "Ancienneté de la question en attente d'un humain (0 si aucune)", () => [
+    { value: pendingQuestion ? (Date.now() - pendingQuestion.receivedAt) / 1000 : 0 }
+]);
+metrics.gauge("quiz_upstream_consecutive_failures", "Échecs consécutifs du serveur quiz (disjoncteur)", () => [
+    { value: consecutiveUpstreamFailures }
+]);
+metrics.gauge("quiz_schedules", "Plannings actifs", () => [
+    { value: schedules.size }
+]);
+
+// Webhooks sortants: certains événements du bot (voir WEBHOOK_EVENTS) sont envoyés en POST JSON
+// à chaque URL de WEBHOOK_URLS. Le corps est signé (HMAC-SHA256 avec WEBHOOK_SECRET) dans
+// l'en-tête X-Quiz-Signature; les échecs temporaires sont retentés. Les dernières livraisons
+// sont gardées en mémoire (GET /webhooks).
+class WebhookDispatcher {
+    constructor({ urls, secret, events }) {
+        this.urls = urls;
+        this.secret = secret;
+        this.events = new Set(events);
+        this.deliveries = [];
+    }
+
+    get enabled() {
+        return this.urls.length > 0;
+    }
+
+    // URL sans chemin ni paramètres: les URL de webhook contiennent souvent un secret
+    maskUrl(url) {
+        try {
+            const { protocol, host } = new URL(url);
+            return `${protocol}//${host}/***`;
+        } catch (error) {
+            return '***';
+        }
+    }
+
+    // Signature de "<timestamp>.<corps>": le destinataire refuse les livraisons trop anciennes
+    // (X-Quiz-Timestamp, en secondes), ce qui empêche de rejouer une livraison interceptée
+    sign(body, timestamp) {
+        return 'sha256=' + crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    // Appelé pour chaque "bot-event"; ne bloque jamais le bot
+    handle(event) {
+        if (!this.enabled || !this.events.has(event.type)) return;
+        const { type, timestamp, ...data } = event;
+        this.dispatch(type, data, timestamp);
+    }
+
+    dispatch(type, data, timestamp = Date.now()) {
+        const id = crypto.randomUUID();
+        const body = JSON.stringify({ id, event: type, timestamp, data });
+
+        return Promise.all(this.urls.map(url => {
+            const delivery = {
+                id,
+                event: type,
+                url: this.maskUrl(url),
+                status: "pending",
+                attempts: 0,
+                responseStatus: null,
+                error: null,
+                createdAt: Date.now(),
+                completedAt: null
+            };
+            this.deliveries.unshift(delivery);
+            this.deliveries.length = Math.min(this.deliveries.length, WEBHOOK_LOG_SIZE);
+            return this.deliver(url, body, delivery);
+        }));
+    }
+
+    async deliver(url, body, delivery) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'quiz-musical-bot',
+            'X-Quiz-Event': delivery.event,
+            'X-Quiz-Delivery': delivery.id
+        };
+        for (;;) {
+            delivery.attempts++;
+            if (this.secret) {
+                const timestamp = Math.floor(Date.now() / 1000);
+                headers['X-Quiz-Timestamp'] = String(timestamp);
+                headers['X-Quiz-Signature'] = this.sign(body, timestamp);
+            }
+            try {
+                const response = await axios.post(url, body, { headers, timeout: WEBHOOK_TIMEOUT });
+                delivery.status = "delivered";
+                delivery.responseStatus = response.status;
+                delivery.error = null;
+                delivery.completedAt = Date.now();
+                webhookDeliveriesCounter.inc({ event: delivery.event, status: delivery.status });
+                return delivery;
+            } catch (error) {
+                const errorClass = classifyUpstreamError(error);
+                delivery.responseStatus = error.response?.status || null;
+                delivery.error = `${errorClass}: ${error.message}`;
+
+                // Le destinataire peut dédoublonner grâce à X-Quiz-Delivery: tout échec temporaire est retenté
+                const retryable = ["rate_limit", "network", "timeout", "server"].includes(errorClass);
+                if (!retryable || delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+                    delivery.status = "failed";
+                    delivery.completedAt = Date.now();
+                    webhookDeliveriesCounter.inc({ event: delivery.event, status: delivery.status });
+                    logger.error(`❌ Webhook ${delivery.event} -> ${delivery.url}: ${delivery.error} (${delivery.attempts} tentatives)`, {
+                        event: delivery.event,
+                        attempts: delivery.attempts
+                    });
+                    return delivery;
+                }
+                await sleep(backoffDelay(delivery.attempts, error));
+            }
+        }
+    }
+}
+
+const webhooks = new WebhookDispatcher({
+    urls: WEBHOOK_URLS,
+    secret: WEBHOOK_SECRET,
+    events: WEBHOOK_EVENTS
+});
+botEvents.on('bot-event', event => webhooks.handle(event));
+
+// Corpus brut pour le rejeu hors ligne (replay.js), une ligne JSON par événement:
+// { type: "question", id, payload... } dès la réception de la question, puis
+// { type: "outcome", id, ... } quand son sort est connu (réponse, erreur, arrêt)
+let corpusWriteQueue = Promise.resolve();
+
+function recordCorpus(entry) {
+    if (!CORPUS_FILE) return corpusWriteQueue;
+
+    const line = JSON.stringify(entry) + '\n';
+    corpusWriteQueue = corpusWriteQueue
+        .then(() => fs.appendFile(CORPUS_FILE, line))
+        .catch(error => {
+            logger.error(`❌ Erreur écriture corpus: ${error.message}`);
+        });
+    return corpusWriteQueue;
+}
+
+// Persistance de l'état du bot
+// La question en attente n'est pas sauvegardée: non soumise, elle sera simplement
+// récupérée à nouveau auprès du serveur quiz à la reprise.
+let stateWriteQueue = Promise.resolve();
+
+function botStateSnapshot() {
+    return {
+        version: STATE_VERSION,
+        savedAt: Date.now(),
+        authToken,
+        schedules: [...schedules.values()],
+        run: currentRun ? { ...currentRun, stats: { ...currentStats } } : interruptedRun
+    };
+}
+
+// Les écritures passent par une file; le fichier contient le token, il n'est lisible que par le propriétaire
+function saveBotState() {
+    const data = JSON.stringify(botStateSnapshot(), null, 2);
+    stateWriteQueue = stateWriteQueue
+        .then(() => writeFileAtomic(STATE_FILE, data, 0o600))
+        .catch(error => {
+            logger.error(`❌ Erreur sauvegarde état: ${error.message}`);
+        });
+    return stateWriteQueue;
+}
+
+async function loadBotState() {
+    let data;
+    try {
+        data = await fs.readFile(STATE_FILE, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`❌ Lecture de l'état impossible: ${error.message}`);
+        }
+        return null;
+    }
+
+    try {
+        const state = JSON.parse(data);
+        if (state && state.version === 1) {
+            // v1: un seul planning ponctuel { rounds, targetTime, options }
+            const legacy = state.schedule;
+            state.schedules = legacy ? [{
+                name: "planning-1",
+                rounds: legacy.rounds,
+                options: legacy.options || {},
+                timezone: DEFAULT_TIMEZONE,
+                repeat: "once",
+                cron: null,
+                at: legacy.targetTime,
+                description: describeSchedule({ repeat: "once", at: legacy.targetTime, timezone: DEFAULT_TIMEZONE }),
+                createdAt: state.savedAt,
+                nextRun: legacy.targetTime,
+                lastRun: null,
+                lastResult: null
+            }] : [];
+        } else if (!state || state.version !== STATE_VERSION) {
+            throw new Error(`version ${state?.version} non supportée`);
+        }
+        return state;
+    } catch (error) {
+        logger.error(`❌ État illisible (${error.message}), ignoré: ${STATE_FILE}`);
+        return null;
+    }
+}
+
+// Au démarrage: remet en place le token, le planning et le run interrompu
+async function restoreBotState() {
+    const state = await loadBotState();
+    if (!state) return;
+
+    setAuthToken(state.authToken);
+
+    if (state.run) {
+        interruptedRun = {
+            ...state.run,
+            reason: state.run.reason || "Redémarrage du serveur",
+            interruptedAt: state.run.interruptedAt || state.savedAt
+        };
+        logger.info(`⏸️ Run interrompu: manche ${interruptedRun.round}/${interruptedRun.rounds}, question ${interruptedRun.questionNumber}`);
+    }
+
+    // Une exécution manquée pendant l'arrêt part encore si elle est dans le délai de grâce,
+    // sinon un planning récurrent passe à l'occurrence suivante
+    const now = Date.now();
+    for (const schedule of state.schedules || []) {
+        if (schedule.nextRun !== null && now - schedule.nextRun > SCHEDULE_MISSED_GRACE) {
+            logger.warn(`⏰ Exécution manquée de ${Math.round((now - schedule.nextRun) / 60000)} min pour "${schedule.name}"`);
+            schedule.lastResult = "missed";
+            if (schedule.repeat === "once") continue;
+            schedule.nextRun = computeNextRun(schedule, now);
+        }
+        registerSecret(schedule.token);
+        schedules.set(schedule.name, schedule);
+    }
+    armScheduler();
+
+    if (interruptedRun && AUTO_RESUME) {
+        logger.info("▶️ Reprise automatique du run interrompu");
+        resumeInterruptedRun();
+    }
+
+    await saveBotState();
+}
+
+// Planification
+// Chaque planning est ponctuel (`at`) ou récurrent (expression `cron` à 5 champs),
+// évalué dans son fuseau horaire IANA. Un seul minuteur, réarmé sur la prochaine exécution.
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+const zoneFormatters = new Map();
+
+function resolveTimeZone(timeZone = DEFAULT_TIMEZONE) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch (error) {
+        throw new Error(`Fuseau horaire inconnu: ${timeZone}`);
+    }
+}
+
+// Date et heure locales d'un instant dans un fuseau
+function zonedParts(timestamp, timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    for (const { type, value } of zoneFormatters.get(timeZone).formatToParts(new Date(timestamp))) {
+        parts[type] = value;
+    }
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour) % 24,
+        minute: parseInt(parts.minute),
+        weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toLowerCase())
+    };
+}
+
+// Champ cron: "*", "5", "1-5", "*/15", "0-30/10" ou une liste "1,3,5"
+function parseCronField(field, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Champ cron "${name}" invalide: ${part}`);
+        }
+
+        const [, any, from, to, stepText] = match;
+        const start = any ? min : parseInt(from);
+        const end = any ? max : to !== undefined ? parseInt(to) : stepText ? max : start;
+        const step = stepText ? parseInt(stepText) : 1;
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Champ cron "${name}" hors limites (${min}-${max}): ${part}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+function parseCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error("Expression cron invalide: 5 champs attendus (minute heure jour mois jour-semaine)");
+    }
+
+    const cron = {};
+    CRON_FIELDS.forEach((field, i) => {
+        cron[field.name] = parseCronField(fields[i], field);
+    });
+    // 7 = dimanche, comme 0
+    if (cron.dayOfWeek.has(7)) cron.dayOfWeek.add(0);
+    // Si jour du mois et jour de semaine sont tous deux restreints, l'un ou l'autre suffit
+    cron.anyDayOfMonth = fields[2] === '*';
+    cron.anyDayOfWeek = fields[4] === '*';
+    return cron;
+}
+
+function cronDayMatches(cron, parts) {
+    const dayOfMonth = cron.dayOfMonth.has(parts.day);
+    const dayOfWeek = cron.dayOfWeek.has(parts.weekday);
+    if (cron.anyDayOfMonth) return dayOfWeek;
+    if (cron.anyDayOfWeek) return dayOfMonth;
+    return dayOfMonth || dayOfWeek;
+}
+
+function cronMatches(cron, parts) {
+    return cron.month.has(parts.month) && cronDayMatches(cron, parts) &&
+        cron.hour.has(parts.hour) && cron.minute.has(parts.minute);
+}
+
+// Heure locale sous forme de timestamp UTC, pour comparer ou parcourir des heures locales
+function wallClock(parts) {
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+}
+
+// Passage à l'heure d'été: vrai si une minute locale sautée juste avant `candidate`
+// correspondait, elle est alors rattrapée à la première minute après le saut
+function skippedCronMatch(cron, timeZone, candidate, parts) {
+    const previous = wallClock(zonedParts(candidate - 60000, timeZone));
+    for (let wall = previous + 60000; wall < wallClock(parts); wall += 60000) {
+        const date = new Date(wall);
+        const skipped = {
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            weekday: date.getUTCDay(),
+            hour: date.getUTCHours(),
+            minute: date.getUTCMinutes()
+        };
+        if (cronMatches(cron, skipped)) return true;
+    }
+    return false;
+}
+
+// Retour à l'heure d'hiver: la même heure locale existait déjà 30 ou 60 min plus tôt
+function isRepeatedMinute(timeZone, candidate, parts) {
+    return [30, 60].some(minutes => wallClock(zonedParts(candidate - minutes * 60000, timeZone)) === wallClock(parts));
+}
+
+// Minuit local suivant; un jour de 23 h (heure d'été) ferait arriver à 01:00, on recule
+// alors à minuit (sauf si ce minuit-là n'existe pas, fuseau changeant d'heure à 00:00)
+function nextLocalMidnight(timeZone, candidate, parts) {
+    const next = candidate + ((23 - parts.hour) * 60 + 60 - parts.minute) * 60000;
+    const landed = zonedParts(next, timeZone);
+    if (landed.day === parts.day) return next;
+    const midnight = next - (landed.hour * 60 + landed.minute) * 60000;
+    return zonedParts(midnight, timeZone).day === landed.day ? midnight : next;
+}
+
+// Première minute après `after` correspondant à l'expression, en heure locale du fuseau.
+// On saute un jour ou une heure entière dès que ce niveau ne correspond pas. Une heure
+// répétée ne déclenche qu'une fois, une heure sautée est rattrapée juste après le saut.
+function nextCronRun(cron, timeZone, after = Date.now()) {
+    let candidate = Math.floor(after / 60000) * 60000 + 60000;
+    const limit = after + 5 * 366 * 24 * 60 * 60 * 1000;
+
+    while (candidate < limit) {
+        const parts = zonedParts(candidate, timeZone);
+        if (skippedCronMatch(cron, timeZone, candidate, parts)) {
+            return candidate;
+        } else if (!cron.month.has(parts.month) || !cronDayMatches(cron, parts)) {
+            candidate = nextLocalMidnight(timeZone, candidate, parts);
+        } else if (!cron.hour.has(parts.hour)) {
+            candidate += (60 - parts.minute) * 60000;
+        } else if (!cron.minute.has(parts.minute) || isRepeatedMinute(timeZone, candidate, parts)) {
+            candidate += 60000;
+        } else {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+function parseTimeOfDay(time) {
+    const match = String(time).match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+        throw new Error("Heure invalide. Utilisez HH:MM");
+    }
+    return { hours: parseInt(match[1]), minutes: parseInt(match[2]) };
+}
+
+// Corps de /schedule-bot -> { repeat, cron, at }:
+// - cron: expression à 5 champs, récurrente
+// - repeat "daily" + time "HH:MM", ou repeat "weekly" + time + days (["mon", "fri"] ou 0-6)
+// - time seul: une fois, "HH:MM" (prochaine occurrence dans le fuseau) ou timestamp
+function parseScheduleSpec({ time, repeat, days, cron }, timeZone) {
+    if (cron) {
+        parseCron(cron);
+        return { repeat: "cron", cron: String(cron).trim(), at: null };
+    }
+
+    if (repeat === "daily" || repeat === "weekly") {
+        const { hours, minutes } = parseTimeOfDay(time);
+        if (repeat === "daily") {
+            return { repeat, cron: `${minutes} ${hours} * * *`, at: null };
+        }
+
+        const dayList = (Array.isArray(days) ? days : String(days || '').split(','))
+            .map(day => String(day).trim().toLowerCase())
+            .filter(Boolean);
+        if (dayList.length === 0) {
+            throw new Error("Jours requis pour un planning hebdomadaire (ex: [\"mon\", \"fri\"])");
+        }
+        const dayNumbers = dayList.map(day => {
+            const index = /^\d$/.test(day) ? parseInt(day) : WEEKDAY_NAMES.indexOf(day.slice(0, 3));
+            if (index < 0 || index > 6) {
+                throw new Error(`Jour invalide: ${day}`);
+            }
+            return index;
+        });
+        return { repeat, cron: `${minutes} ${hours} * * ${[...new Set(dayNumbers)].sort().join(',')}`, at: null };
+    }
+
+    if (repeat) {
+        throw new Error(`Répétition inconnue: ${repeat} (daily ou weekly)`);
+    }
+
+    if (!time) {
+        throw new Error("Heure requise (format: 'HH:MM' ou timestamp), ou une expression cron");
+    }
+
+    // Timestamp
+    if (!isNaN(time)) {
+        const timestamp = parseInt(time);
+        if (timestamp <= Date.now()) {
+            throw new Error("Timestamp dans le passé");
+        }
+        return { repeat: "once", cron: null, at: timestamp };
+    }
+
+    // HH:MM: aujourd'hui si l'heure n'est pas passée dans le fuseau, sinon demain
+    const { hours, minutes } = parseTimeOfDay(time);
+    return { repeat: "once", cron: null, at: nextCronRun(parseCron(`${minutes} ${hours} * * *`), timeZone) };
+}
+
+function formatInZone(timestamp, timeZone) {
+    return new Date(timestamp).toLocaleString('fr-FR', { timeZone, timeZoneName: 'short' });
+}
+
+function describeSchedule(schedule) {
+    if (schedule.repeat === "once") {
+        return `une fois, le ${formatInZone(schedule.at, schedule.timezone)}`;
+    }
+    if (schedule.repeat === "cron") {
+        return `cron "${schedule.cron}" (${schedule.timezone})`;
+    }
+
+    const [minutes, hours, , , days] = schedule.cron.split(' ');
+    const time = `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}`;
+    if (schedule.repeat === "daily") {
+        return `tous les jours à ${time} (${schedule.timezone})`;
+    }
+    const dayNames = days.split(',').map(day => WEEKDAY_NAMES[day]).join(', ');
+    return `chaque semaine (${dayNames}) à ${time} (${schedule.timezone})`;
+}
+
+function computeNextRun(schedule, after = Date.now()) {
+    if (schedule.repeat === "once") {
+        return schedule.at > after ? schedule.at : null;
+    }
+    return nextCronRun(parseCron(schedule.cron), schedule.timezone, after);
+}
+
+let scheduleCounter = 0;
+
+function createSchedule(body, options) {
+    const timezone = resolveTimeZone(body.timezone || DEFAULT_TIMEZONE);
+    const spec = parseScheduleSpec(body, timezone);
+
+    let name = body.name;
+    if (name === undefined || name === null || name === '') {
+        do {
+            name = `planning-${++scheduleCounter}`;
+        } while (schedules.has(name));
+    } else if (!/^[\w.-]{1,64}$/.test(String(name))) {
+        throw new Error("Nom de planning invalide (lettres, chiffres, '.', '_', '-')");
+    }
+
+    const schedule = {
+        name: String(name),
+        // Token propre au planning: un autre /schedule-bot ou /start-bot ne le remplace pas
+        token: String(body.token),
+        rounds: parseRounds(body.rounds),
+        options,
+        timezone,
+        ...spec,
+        createdAt: Date.now(),
+        nextRun: null,
+        lastRun: null,
+        lastResult: null
+    };
+    schedule.description = describeSchedule(schedule);
+    schedule.nextRun = computeNextRun(schedule);
+    if (schedule.nextRun === null) {
+        throw new Error("Ce planning ne s'exécutera jamais");
+    }
+    return schedule;
+}
+
+function scheduleView(schedule) {
+    const { token, ...view } = schedule;
+    return {
+        ...view,
+        hasToken: !!token,
+        nextRunLocal: schedule.nextRun !== null ? formatInZone(schedule.nextRun, schedule.timezone) : null
+    };
+}
+
+function nextScheduledTime() {
+    let next = null;
+    for (const schedule of schedules.values()) {
+        if (schedule.nextRun !== null && (next === null || schedule.nextRun < next)) {
+            next = schedule.nextRun;
+        }
+    }
+    return next;
+}
+
+function armScheduler() {
+    clearTimeout(schedulerTimer);
+    schedulerTimer = null;
+
+    const next = nextScheduledTime();
+    if (next === null) return;
+
+    const delay = Math.min(Math.max(next - Date.now(), 0), SCHEDULER_MAX_SLEEP);
+    schedulerTimer = setTimeout(runDueSchedules, delay);
+    // Ne retient pas le processus (ex: server.js chargé via require)
+    schedulerTimer.unref();
+}
+
+// Lance les plannings arrivés à échéance; une exécution tombant pendant un run est sautée
+function runDueSchedules() {
+    const now = Date.now();
+
+    for (const schedule of schedules.values()) {
+        if (schedule.nextRun === null || schedule.nextRun > now) continue;
+
+        if (isBotBusy()) {
+            logger.warn(`⏰ Planning "${schedule.name}" sauté: un run est déjà en cours`);
+            schedule.lastResult = "skipped";
+        } else {
+            logger.info(`🚀 Démarrage programmé: "${schedule.name}"`);
+            schedule.lastResult = "started";
+            startScheduledRun(schedule);
+        }
+        schedule.lastRun = now;
+
+        if (schedule.repeat === "once") {
+            schedules.delete(schedule.name);
+        } else {
+            schedule.nextRun = computeNextRun(schedule, now);
+        }
+    }
+
+    saveBotState();
+    armScheduler();
+}
+
+function startScheduledRun(schedule) {
+    // Les plannings repris d'un état v1 n'ont pas de token: celui du bot est utilisé
+    if (schedule.token) setAuthToken(schedule.token);
+    interruptedRun = null;
+    resetStats();
+
+    launchRun("Erreur programmée", schedule.rounds, schedule.options, null, `schedule:${schedule.name}`);
+}
+
+// Headers pour les requêtes
+const getHeaders = (token = authToken) => ({
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json',
+    'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64; rv:137.0) Gecko/20100101 Firefox/137.0'
+});
+
+// Authentification de l'API
+// Clé dans "Authorization: Bearer <clé>" ou "X-API-Key: <clé>"; ?api_key= n'est accepté
+// que pour GET /events (EventSource ne peut pas envoyer d'en-têtes). Les GET demandent
+// le rôle "readonly", tout le reste le rôle "operator". GET / et la console statique restent publics.
+const API_AUTH_ENABLED = config.apiAuth !== "disabled";
+const ROLE_LEVELS = { readonly: 1, operator: 2 };
+
+function parseKeyList(value) {
+    return String(value || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+// Comparaison à temps constant (sur les empreintes, pour des longueurs égales)
+function safeEqual(a, b) {
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function apiKeyRole(key) {
+    if (!key) return null;
+    if (API_OPERATOR_KEYS.some(candidate => safeEqual(candidate, key))) return "operator";
+    if (API_READONLY_KEYS.some(candidate => safeEqual(candidate, key))) return "readonly";
+    return null;
+}
+
+function requestApiKey(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    if (req.get('X-API-Key')) return req.get('X-API-Key');
+    // Ailleurs, une clé dans l'URL finirait dans l'historique du navigateur et les journaux des proxys
+    if (req.method === 'GET' && req.path === '/events') return req.query.api_key || null;
+    return null;
+}
+
+function authenticate(req, res, next) {
+    const key = requestApiKey(req);
+    req.role = API_AUTH_ENABLED ? apiKeyRole(key) : "operator";
+
+    if (req.method === 'GET' && req.path === '/') return next();
+
+    const required = req.method === 'GET' || req.method === 'HEAD' ? "readonly" : "operator";
+    if (!req.role) {
+        return res.status(401).json({
+            success: false,
+            error: key ? "Clé API invalide" : "Clé API requise (Authorization: Bearer <clé> ou X-API-Key)"
+        });
+    }
+    if (ROLE_LEVELS[req.role] < ROLE_LEVELS[required]) {
+        return res.status(403).json({
+            success: false,
+            error: `Rôle "${required}" requis pour ${req.method} ${req.path}`
+        });
+    }
+    next();
+}
+
+// Le token du serveur quiz ne doit apparaître ni dans les réponses ni dans les logs,
+// y compris après son remplacement par /submit-token
+function redactSecrets(text) {
+    let value = String(text ?? '');
+    for (const secret of knownSecrets) {
+        value = value.split(secret).join('***');
+    }
+    return value;
+}
+
+function registerSecret(secret) {
+    if (!secret || String(secret).length < 4) return;
+    knownSecrets.add(String(secret));
+}
+
+function setAuthToken(token) {
+    authToken = token || '';
+    registerSecret(authToken);
+}
+
+// Routes API
+app.get("/", (req, res) => {
+    res.json({
+        message: "🎵 Quiz Musical Bot API",
+        version: "1.0",
+        // Statut réservé aux clients authentifiés
+        status: req.role ? getStatusString() : undefined,
+        auth: { enabled: API_AUTH_ENABLED, role: req.role },
+        endpoints: {
+            console: "GET /console - Console web (statut, questions en attente, contrôles)",
+            status: "GET /status - Statut détaillé du bot",
+            start: "POST /start-bot - Démarre immédiatement (body: {token, rounds, + réglages de run: humanTimeout?, tokenTimeout?, questionDelay?, roundDelay?, errorDelay?, boost?})",
+            schedule: "POST /schedule-bot - Programme un run (body: {token, rounds, name?, timezone?, time?, repeat?: daily|weekly, days?, cron?, + réglages de run})",
+            schedules: "GET /schedules - Plannings et prochaines exécutions (DELETE /schedules/:name pour annuler)",
+            stop: "POST /stop-bot - Arrête le run en cours et annule tous les plannings",
+            token: "POST /submit-token - Met à jour le token (et reprend un run en attente de token)",
+            "human-answer": "POST /human-answer - Répond à une question en attente (body: {answer})",
+            "pending-question": "GET /pending-question - Récupère la question en attente",
+            pause: "POST /pause-bot - Met le run en pause entre deux questions (round, question et stats conservés)",
+            "resume-bot": "POST /resume-bot - Reprend un run en pause",
+            events: "GET /events - Flux SSE (question-pending, answer-submitted, round-finished, token-expired, bot-paused, bot-resumed, bot-stopped, error)",
+            stats: "GET /stats - Statistiques",
+            config: "GET /config - Configuration effective et provenance de chaque réglage (défaut, fichier, env)",
+            logs: "GET /logs?level=&since=&runId=&limit= - Dernières entrées du journal (niveau minimal, postérieures à since)",
+            metrics: "GET /metrics - Métriques Prometheus (compteurs cumulés, jauges, latences du serveur quiz)",
+            webhooks: "GET /webhooks?status=&event= - Webhooks configurés et journal des livraisons (POST /webhooks/test pour essayer)",
+            history: "GET /history?status=&trigger=&since=&until= - Runs passés (du plus récent au plus ancien)",
+            "history-run": "GET /history/:runId?round=&source=&correct=&type=&search= - Détail des questions d'un run",
+            "question-types": "GET /question-types - Types de questions détectés et questions non classées (POST /question-types/reload pour recharger)",
+            resume: "POST /resume-run - Reprend un run interrompu à sa manche (body: {token?, + réglages de run})",
+            resolvers: "GET|PUT /resolvers - Ordre, activation (body: {order, disabled}) et précision des résolveurs",
+            database: "GET /db/entries?search=&title=&option= - Liste/recherche les réponses connues",
+            "database-entry": "GET|PUT|DELETE /db/entries/:key - Consulte, corrige (body: {answer}) ou supprime une réponse",
+            "database-export": "GET /db/export?format=json|csv - Exporte la base",
+            "database-import": "POST /db/import?overwrite=true|false - Importe (JSON ou text/csv)"
+        }
+    });
+});
+
+app.get("/status", (req, res) => {
+    res.json({
+        isProcessing,
+        isPaused,
+        pausedAt,
+        waitingForToken,
+        waitingForHumanIntervention,
+        hasToken: !!authToken,
+        scheduledTime: nextScheduledTime(),
+        schedules: [...schedules.values()].map(schedule => ({
+            name: schedule.name,
+            description: schedule.description,
+            nextRun: schedule.nextRun
+        })),
+        stopReason,
+        currentRun: currentRun ? {
+            runId: currentRun.runId,
+            rounds: currentRun.rounds,
+            round: currentRun.round,
+            questionNumber: currentRun.questionNumber,
+            startedAt: currentRun.startedAt
+        } : null,
+        interruptedRun: interruptedRun ? {
+            runId: interruptedRun.runId,
+            rounds: interruptedRun.rounds,
+            round: interruptedRun.round,
+            questionNumber: interruptedRun.questionNumber,
+            reason: interruptedRun.reason,
+            interruptedAt: interruptedRun.interruptedAt,
+            stats: interruptedRun.stats
+        } : null,
+        upstream: {
+            lastError: lastUpstreamError,
+            consecutiveFailures: consecutiveUpstreamFailures
+        },
+        database: {
+            loaded: questionDB.loaded,
+            error: questionDB.loadError,
+            size: Object.keys(questionDB.db).length
+        },
+        currentStats: {
+            ...currentStats,
+            uptime: currentStats.startTime ? Date.now() - currentStats.startTime : 0
+        },
+        pendingQuestion: pendingQuestion ? {
+            questionText: pendingQuestion.questionText,
+            title: pendingQuestion.title,
+            options: pendingQuestion.options,
+            currentIndex: pendingQuestion.currentIndex,
+            suggestions: pendingQuestion.suggestions
+        } : null
+    });
+});
+
+app.get("/metrics", (req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+// Configuration effective (secrets masqués), avec la provenance de chaque réglage
+app.get("/config", (req, res) => {
+    const settings = {};
+    for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+        let value = config[name];
+        if (spec.secret && name === "webhookUrls") {
+            value = value.map(url => webhooks.maskUrl(url));
+        } else if (spec.secret) {
+            value = Array.isArray(value) ? value.map(() => '***') : (value ? '***' : value);
+        }
+        settings[name] = {
+            value,
+            source: loadedConfig.sources[name],
+            env: spec.env,
+            run: !!spec.run
+        };
+    }
+
+    res.json({
+        success: true,
+        file: loadedConfig.file,
+        settings
+    });
+});
+
+// Dernières entrées du journal en mémoire (QUIZ_LOG_BUFFER), filtrables par niveau minimal et par run
+app.get("/logs", (req, res) => {
+    const { level, runId } = req.query;
+    const since = req.query.since ? Date.parse(req.query.since) || parseInt(req.query.since) : null;
+    const limit = Math.min(parseInt(req.query.limit) || 200, LOG_BUFFER_SIZE);
+
+    if (level && !LOG_LEVELS[level]) {
+        return res.status(400).json({
+            success: false,
+            error: `level: ${Object.keys(LOG_LEVELS).join(', ')} attendu`
+        });
+    }
+    if (Number.isNaN(since)) {
+        return res.status(400).json({
+            success: false,
+            error: "since: date ISO ou timestamp attendu"
+        });
+    }
+
+    const entries = logger.query({ level, since, runId, limit });
+    res.json({
+        success: true,
+        level: logger.level,
+        count: entries.length,
+        entries
+    });
+});
+
+app.get("/stats", (req, res) => {
+    const uptime = currentStats.startTime ? Date.now() - currentStats.startTime : 0;
+    const successRate = currentStats.totalQuestions > 0 ? 
+        ((currentStats.correctAnswers / currentStats.totalQuestions) * 100).toFixed(2) + '%' : '0%';
+    
+    res.json({
+        roundsPlayed: currentStats.roundsPlayed,
+        totalQuestions: currentStats.totalQuestions,
+        correctAnswers: currentStats.correctAnswers,
+        errors: currentStats.errors,
+        successRate,
+        uptime: Math.floor(uptime / 1000),
+        databaseSize: Object.keys(questionDB.db).length,
+        resolvers: getResolverSummary()
+    });
+});
+
+// Types de questions détectés et questions non classées depuis le démarrage
+app.get("/question-types", (req, res) => {
+    const unclassified = Object.values(questionClassifier.unclassified)
+        .sort((a, b) => b.count - a.count);
+
+    res.json({
+        success: true,
+        types: questionClassifier.config.types,
+        languages: Object.keys(questionClassifier.config.languages),
+        detected: questionClassifier.detected,
+        unclassified
+    });
+});
+
+// Recharge le fichier de mots-clés sans redémarrer
+app.post("/question-types/reload", async (req, res) => {
+    const loaded = await questionClassifier.load();
+    if (!loaded) {
+        return res.status(400).json({
+            success: false,
+            error: `Fichier invalide: ${QUESTION_TYPES_FILE} (configuration précédente conservée)`
+        });
+    }
+    res.json({
+        success: true,
+        types: questionClassifier.config.types,
+        languages: Object.keys(questionClassifier.config.languages)
+    });
+});
+
+// Résolveurs: ordre, activation et statistiques (cumulées depuis le démarrage)
+app.get("/resolvers", (req, res) => {
+    res.json({
+        success: true,
+        resolvers: getResolverSummary()
+    });
+});
+
+app.put("/resolvers", (req, res) => {
+    const { order, disabled } = req.body;
+
+    if ((order !== undefined && !Array.isArray(order)) || (disabled !== undefined && !Array.isArray(disabled))) {
+        return res.status(400).json({
+            success: false,
+            error: "order et disabled doivent être des listes de noms de résolveurs"
+        });
+    }
+
+    try {
+        configureResolvers({ order, disabled });
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    logger.info(`🔧 Résolveurs: ${resolverOrder.map(name => disabledResolvers.has(name) ? `(${name})` : name).join(' → ')}`);
+    res.json({
+        success: true,
+        resolvers: getResolverSummary()
+    });
+});
+
+// Flux d'événements (Server-Sent Events): question-pending, answer-submitted,
+// round-finished, token-expired, bot-stopped, error. Un événement "status" est envoyé à la connexion.
+app.get("/events", (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    send({ type: "status", timestamp: Date.now(), status: getStatusString(), pendingQuestion: pendingQuestionView() });
 
-app.get("/stats", (req, res) => {
-    const uptime = currentStats.startTime ? Date.now() - currentStats.startTime : 0;
-    const successRate = currentStats.totalQuestions > 0 ? 
-        ((currentStats.correctAnswers / currentStats.totalQuestions) * 100).toFixed(2) + '%' : '0%';
-    
-    res.json({
-        roundsPlayed: currentStats.roundsPlayed,
-        totalQuestions: currentStats.totalQuestions,
-        correctAnswers: currentStats.correctAnswers,
-        errors: currentStats.errors,
-        successRate,
-        uptime: Math.floor(uptime / 1000),
-        databaseSize: Object.keys(questionDB.db).length
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    botEvents.on('bot-event', send);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        botEvents.off('bot-event', send);
     });
 });
 
@@ -155,14 +2227,7 @@ app.get("/pending-question", (req, res) => {
 
     res.json({
         success: true,
-        question: {
-            questionText: pendingQuestion.questionText,
-            title: pendingQuestion.title,
-            options: pendingQuestion.options,
-            currentIndex: pendingQuestion.currentIndex,
-            roundNumber: pendingQuestion.roundNumber,
-            questionNumber: pendingQuestion.questionNumber
-        }
+        question: pendingQuestionView()
     });
 });
 
@@ -193,12 +2258,13 @@ app.post("/human-answer", async (req, res) => {
         });
     }
 
-    console.log(`👤 Réponse humaine reçue: '${answer}'`);
+    logger.info(`👤 Réponse humaine reçue: '${answer}'`);
     
     // Marquer la réponse comme reçue
     pendingQuestion.humanAnswer = String(answer);
     pendingQuestion.saveIfCorrect = saveIfCorrect;
     waitingForHumanIntervention = false;
+    botEvents.emit('human-answer');
 
     res.json({
         success: true,
@@ -208,36 +2274,51 @@ app.post("/human-answer", async (req, res) => {
 });
 
 app.post("/start-bot", async (req, res) => {
-    const { token, rounds } = req.body;
+    const { token } = req.body;
+    let rounds;
+    let options;
 
-    if (isProcessing) {
+    if (isBotBusy()) {
         return res.status(400).json({
             success: false,
-            error: "Le bot est déjà en cours d'exécution"
+            error: busyMessage()
         });
     }
 
-    if (!token || !rounds) {
+    if (!token || !req.body.rounds) {
         return res.status(400).json({
             success: false,
             error: "Token et nombre de rounds requis"
         });
     }
 
-    authToken = token;
+    try {
+        rounds = parseRounds(req.body.rounds);
+        options = parseRunOptions(req.body);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (questionDB.loadError) {
+        return res.status(503).json({
+            success: false,
+            error: `Base de données illisible, corrigez ${DATABASE_FILE}: ${questionDB.loadError}`
+        });
+    }
+
+    setAuthToken(token);
     
     try {
-        isProcessing = true;
-        scheduledTime = null;
+        // Un nouveau run remplace le run interrompu
+        interruptedRun = null;
         resetStats();
         
-        console.log(`🚀 Démarrage immédiat du bot: ${rounds} rounds`);
+        logger.info(`🚀 Démarrage immédiat du bot: ${rounds} rounds`);
         
-        startQuizBot(rounds).catch(error => {
-            console.error("❌ Erreur dans le processus:", error);
-            isProcessing = false;
-            currentStats.errors++;
-        });
+        launchRun("Erreur dans le processus", rounds, options);
 
         res.json({
             success: true,
@@ -253,70 +2334,174 @@ app.post("/start-bot", async (req, res) => {
 });
 
 app.post("/schedule-bot", async (req, res) => {
-    const { token, rounds, time } = req.body;
+    const { token, rounds } = req.body;
+    let options;
+    let schedule;
 
-    if (isProcessing) {
+    if (!token || !rounds) {
         return res.status(400).json({
             success: false,
-            error: "Le bot est déjà en cours d'exécution"
+            error: "Token et nombre de rounds requis"
         });
     }
 
-    if (!token || !rounds || !time) {
+    try {
+        options = parseRunOptions(req.body);
+        schedule = createSchedule(req.body, options);
+    } catch (error) {
         return res.status(400).json({
             success: false,
-            error: "Token, rounds et heure requis (format: 'HH:MM' ou timestamp)"
+            error: error.message
         });
     }
 
-    authToken = token;
-    
-    try {
-        const targetTime = parseScheduleTime(time);
-        scheduledTime = targetTime;
-        
-        console.log(`⏰ Bot programmé pour ${new Date(targetTime).toLocaleString()}`);
-        
-        // Démarrer la surveillance du planning
-        scheduleQuizBot(rounds, targetTime);
+    if (questionDB.loadError) {
+        return res.status(503).json({
+            success: false,
+            error: `Base de données illisible, corrigez ${DATABASE_FILE}: ${questionDB.loadError}`
+        });
+    }
 
-        res.json({
-            success: true,
-            message: `Bot programmé pour ${new Date(targetTime).toLocaleString()}`,
-            scheduledTime: targetTime,
-            rounds
+    if (schedules.has(schedule.name)) {
+        return res.status(409).json({
+            success: false,
+            error: `Un planning "${schedule.name}" existe déjà`
         });
-    } catch (error) {
-        res.status(500).json({
+    }
+
+    registerSecret(schedule.token);
+    schedules.set(schedule.name, schedule);
+    armScheduler();
+    await saveBotState();
+
+    const nextRunLocal = formatInZone(schedule.nextRun, schedule.timezone);
+    logger.info(`⏰ Planning "${schedule.name}": ${schedule.description}, prochaine exécution ${nextRunLocal}`);
+
+    res.json({
+        success: true,
+        message: `Bot programmé (${schedule.description}), prochaine exécution ${nextRunLocal}`,
+        scheduledTime: schedule.nextRun,
+        rounds,
+        schedule: scheduleView(schedule)
+    });
+});
+
+app.get("/schedules", (req, res) => {
+    const list = [...schedules.values()]
+        .sort((a, b) => (a.nextRun ?? Infinity) - (b.nextRun ?? Infinity))
+        .map(scheduleView);
+    res.json({ success: true, total: list.length, schedules: list });
+});
+
+app.delete("/schedules/:name", async (req, res) => {
+    const schedule = schedules.get(req.params.name);
+    if (!schedule) {
+        return res.status(404).json({
             success: false,
-            error: error.message
+            error: "Planning introuvable"
         });
     }
+
+    schedules.delete(schedule.name);
+    armScheduler();
+    await saveBotState();
+    logger.info(`🗑️ Planning "${schedule.name}" annulé`);
+
+    res.json({ success: true, message: `Planning "${schedule.name}" annulé` });
 });
 
-app.post("/stop-bot", (req, res) => {
-    if (!isProcessing && !scheduledTime) {
+// Arrête le run en cours et annule tous les plannings (DELETE /schedules/:name pour n'en annuler qu'un)
+app.post("/stop-bot", async (req, res) => {
+    if (!isProcessing && schedules.size === 0) {
         return res.status(400).json({
             success: false,
             error: "Aucun processus en cours"
         });
     }
 
-    isProcessing = false;
-    scheduledTime = null;
-    pendingQuestion = null;
-    waitingForHumanIntervention = false;
+    if (isProcessing) {
+        isProcessing = false;
+        isPaused = false;
+        pausedAt = null;
+        pendingQuestion = null;
+        waitingForHumanIntervention = false;
+        stopReason = "Arrêt manuel";
+        botEvents.emit('stop-requested');
+    }
+
+    const cancelledSchedules = [...schedules.keys()];
+    schedules.clear();
+    armScheduler();
+    await saveBotState();
     
-    console.log("🛑 Arrêt du bot demandé");
+    logger.info("🛑 Arrêt du bot demandé");
+    if (cancelledSchedules.length) {
+        logger.info(`🗑️ Plannings annulés: ${cancelledSchedules.join(', ')}`);
+    }
     
     res.json({
         success: true,
         message: "Bot arrêté",
+        cancelledSchedules,
         finalStats: currentStats
     });
 });
 
-app.post("/submit-token", (req, res) => {
+app.post("/pause-bot", (req, res) => {
+    if (!isProcessing) {
+        return res.status(400).json({
+            success: false,
+            error: "Aucun processus en cours"
+        });
+    }
+
+    if (isPaused) {
+        return res.status(400).json({
+            success: false,
+            error: "Le bot est déjà en pause"
+        });
+    }
+
+    isPaused = true;
+    pausedAt = Date.now();
+    botEvents.emit('bot-paused');
+    emitBotEvent("bot-paused", {
+        roundNumber: currentRun?.round,
+        questionNumber: currentRun?.questionNumber
+    });
+    logger.info("⏸️ Pause demandée");
+
+    res.json({
+        success: true,
+        message: waitingForHumanIntervention
+            ? "Bot en pause (question en attente conservée, délai suspendu)"
+            : "Bot en pause après la question en cours",
+        currentStats
+    });
+});
+
+app.post("/resume-bot", (req, res) => {
+    if (!isPaused) {
+        return res.status(400).json({
+            success: false,
+            error: "Le bot n'est pas en pause"
+        });
+    }
+
+    const pausedFor = Date.now() - pausedAt;
+    isPaused = false;
+    pausedAt = null;
+    botEvents.emit('bot-resumed');
+    emitBotEvent("bot-resumed", { pausedFor });
+    logger.info(`▶️ Reprise après ${Math.round(pausedFor / 1000)}s de pause`);
+
+    res.json({
+        success: true,
+        message: "Bot relancé"
+    });
+});
+
+app.post("/submit-token", async (req, res) => {
     const { token } = req.body;
     
     if (!token) {
@@ -326,20 +2511,322 @@ app.post("/submit-token", (req, res) => {
         });
     }
 
-    authToken = token;
+    // Run en pause faute de token: vérifier le nouveau avant de reprendre
+    if (waitingForToken) {
+        try {
+            await getUserInfo(token);
+        } catch (error) {
+            if (isAuthError(error)) {
+                logger.info("🔑 Nouveau token refusé par le serveur quiz");
+                return res.status(400).json({
+                    success: false,
+                    error: "Token refusé par le serveur quiz, le bot reste en attente"
+                });
+            }
+            logger.warn(`⚠️ Vérification du token impossible (${error.message}), reprise quand même`);
+        }
+    }
+
+    const resumed = waitingForToken;
+    setAuthToken(token);
     waitingForToken = false;
+    botEvents.emit('token-submitted');
+    await saveBotState();
     
-    console.log("🔑 Token mis à jour");
+    logger.info(resumed ? "🔑 Token mis à jour, reprise du bot" : "🔑 Token mis à jour");
     
     res.json({
         success: true,
-        message: "Token configuré avec succès"
+        message: resumed ? "Token accepté, reprise du bot" : "Token configuré avec succès"
+    });
+});
+
+app.post("/resume-run", async (req, res) => {
+    let options;
+
+    if (isBotBusy()) {
+        return res.status(400).json({
+            success: false,
+            error: busyMessage()
+        });
+    }
+
+    if (!interruptedRun) {
+        return res.status(400).json({
+            success: false,
+            error: "Aucun run interrompu à reprendre"
+        });
+    }
+
+    try {
+        options = parseRunOptions(req.body);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (questionDB.loadError) {
+        return res.status(503).json({
+            success: false,
+            error: `Base de données illisible, corrigez ${DATABASE_FILE}: ${questionDB.loadError}`
+        });
+    }
+
+    if (req.body.token) {
+        setAuthToken(req.body.token);
+    }
+    if (!authToken) {
+        return res.status(400).json({
+            success: false,
+            error: "Token requis"
+        });
+    }
+
+    const { round, rounds } = interruptedRun;
+    resumeInterruptedRun(options);
+
+    res.json({
+        success: true,
+        message: `Reprise du run à la manche ${round}/${rounds}`
+    });
+});
+
+// Webhooks: configuration (URL masquées) et journal des livraisons
+app.get("/webhooks", (req, res) => {
+    const { status, event } = req.query;
+    const deliveries = webhooks.deliveries.filter(delivery =>
+        (!status || delivery.status === status) && (!event || delivery.event === event)
+    );
+
+    res.json({
+        success: true,
+        enabled: webhooks.enabled,
+        urls: webhooks.urls.map(url => webhooks.maskUrl(url)),
+        signed: !!webhooks.secret,
+        events: [...webhooks.events],
+        deliveries
+    });
+});
+
+// Envoie un événement "test" à toutes les URL et renvoie le résultat des livraisons
+app.post("/webhooks/test", async (req, res) => {
+    if (!webhooks.enabled) {
+        return res.status(400).json({
+            success: false,
+            error: "Aucun webhook configuré (QUIZ_WEBHOOK_URLS)"
+        });
+    }
+
+    const deliveries = await webhooks.dispatch("test", { message: "Test du webhook", status: getStatusString() });
+    res.json({
+        success: deliveries.every(delivery => delivery.status === "delivered"),
+        deliveries
+    });
+});
+
+// Historique des runs
+app.get("/history", (req, res) => {
+    const { status, trigger } = req.query;
+    const since = req.query.since ? Date.parse(req.query.since) || parseInt(req.query.since) : null;
+    const until = req.query.until ? Date.parse(req.query.until) || parseInt(req.query.until) : null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+        return res.status(400).json({
+            success: false,
+            error: "since/until: date ISO ou timestamp attendu"
+        });
+    }
+
+    const runs = runHistory.list({ status, trigger, since, until });
+    res.json({
+        success: true,
+        total: runs.length,
+        offset,
+        limit,
+        runs: runs.slice(offset, offset + limit)
+    });
+});
+
+app.get("/history/:runId", (req, res) => {
+    const { source, type, search } = req.query;
+    const round = req.query.round !== undefined ? parseInt(req.query.round) : undefined;
+    const correct = req.query.correct !== undefined ? req.query.correct === 'true' : undefined;
+
+    const run = runHistory.get(req.params.runId, { round, source, correct, type, search });
+    if (!run) {
+        return res.status(404).json({
+            success: false,
+            error: "Run introuvable"
+        });
+    }
+
+    res.json({ success: true, run });
+});
+
+// Gestion de la base de réponses
+// Les modifications sont refusées tant que le fichier n'a pas été chargé correctement
+function requireWritableDatabase(req, res, next) {
+    if (!questionDB.loaded || questionDB.loadError) {
+        return res.status(503).json({
+            success: false,
+            error: questionDB.loadError
+                ? `Base de données illisible: ${questionDB.loadError}`
+                : "Base de données en cours de chargement"
+        });
+    }
+    next();
+}
+
+app.get("/db/entries", (req, res) => {
+    const { search, title, option } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const entries = questionDB.listEntries({ search, title, option });
+    res.json({
+        success: true,
+        total: entries.length,
+        offset,
+        limit,
+        entries: entries.slice(offset, offset + limit)
     });
 });
 
-// Fonctions utilitaires
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+app.get("/db/entries/:key", (req, res) => {
+    const entry = questionDB.getEntry(req.params.key);
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: "Question introuvable"
+        });
+    }
+    res.json({ success: true, entry });
+});
+
+app.put("/db/entries/:key", requireWritableDatabase, async (req, res) => {
+    const { answer } = req.body;
+    if (!answer) {
+        return res.status(400).json({
+            success: false,
+            error: "Réponse requise"
+        });
+    }
+
+    try {
+        const entry = await questionDB.updateEntry(req.params.key, answer);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: "Question introuvable"
+            });
+        }
+        res.json({ success: true, entry });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.delete("/db/entries/:key", requireWritableDatabase, async (req, res) => {
+    const entry = await questionDB.deleteEntry(req.params.key);
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: "Question introuvable"
+        });
+    }
+    res.json({ success: true, deleted: entry });
+});
+
+app.get("/db/export", (req, res) => {
+    const entries = questionDB.exportEntries();
+
+    if (req.query.format === 'csv') {
+        res.type('text/csv');
+        res.attachment('quiz_answers.csv');
+        return res.send(toCSV(entries));
+    }
+
+    res.attachment('quiz_answers.json');
+    res.json(entries);
+});
+
+// Corps JSON (tableau d'enregistrements, ou base v1/v2 complète) ou CSV (Content-Type: text/csv)
+app.post("/db/import", requireWritableDatabase, express.text({ type: 'text/csv', limit: '5mb' }), async (req, res) => {
+    let records;
+    try {
+        if (typeof req.body === 'string') {
+            records = parseCSV(req.body);
+        } else if (Array.isArray(req.body)) {
+            records = req.body;
+        } else if (req.body && req.body.version === DATABASE_VERSION) {
+            records = Object.values(req.body.entries || {});
+        } else if (req.body && typeof req.body === 'object') {
+            records = Object.entries(req.body).map(([key, answer]) => questionDB.recordFromV1(key, answer));
+        } else {
+            throw new Error("Format non reconnu");
+        }
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: `Import invalide: ${error.message}`
+        });
+    }
+
+    const overwrite = req.query.overwrite !== 'false';
+    try {
+        const result = await questionDB.importEntries(records, { overwrite });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error(`❌ Erreur import: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Fonctions utilitaires
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Écriture atomique: fichier temporaire synchronisé sur disque puis renommé
+async function writeFileAtomic(file, data, mode = 0o644) {
+    const tempFile = `${file}.tmp`;
+    const handle = await fs.open(tempFile, 'w', mode);
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempFile, file);
+}
+
+function emitBotEvent(type, data = {}) {
+    botEvents.emit('bot-event', { type, timestamp: Date.now(), ...data });
+}
+
+function pendingQuestionView() {
+    if (!pendingQuestion) return null;
+    return {
+        questionText: pendingQuestion.questionText,
+        title: pendingQuestion.title,
+        options: pendingQuestion.options,
+        currentIndex: pendingQuestion.currentIndex,
+        eliminatedOptions: pendingQuestion.eliminatedOptions,
+        roundNumber: pendingQuestion.roundNumber,
+        questionNumber: pendingQuestion.questionNumber,
+        suggestions: pendingQuestion.suggestions,
+        expiresAt: pendingQuestion.expiresAt
+    };
 }
 
 function resetStats() {
@@ -353,87 +2840,293 @@ function resetStats() {
 }
 
 function getStatusString() {
-    if (isProcessing) return "RUNNING";
-    if (waitingForHumanIntervention) return "WAITING_FOR_HUMAN";
     if (waitingForToken) return "WAITING_FOR_TOKEN";
-    if (scheduledTime) return "SCHEDULED";
+    if (isPaused) return "PAUSED";
+    if (waitingForHumanIntervention) return "WAITING_FOR_HUMAN";
+    if (isProcessing) return "RUNNING";
+    if (schedules.size > 0) return "SCHEDULED";
+    if (interruptedRun) return "INTERRUPTED";
     return "READY";
 }
 
-function parseScheduleTime(timeStr) {
-    const now = new Date();
-    
-    // Si c'est un timestamp
-    if (!isNaN(timeStr)) {
-        const timestamp = parseInt(timeStr);
-        if (timestamp > Date.now()) {
-            return timestamp;
+// Fonctions API du quiz
+// Classes d'erreurs: auth (401), rate_limit (429), client (autre 4xx), server (5xx),
+// timeout (pas de réponse à temps), network (connexion impossible), unknown
+function classifyUpstreamError(error) {
+    const status = error?.response?.status;
+    if (status === 401) return "auth";
+    if (status === 429) return "rate_limit";
+    if (status >= 400 && status < 500) return "client";
+    if (status >= 500) return "server";
+    if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') return "timeout";
+    if (error?.request || error?.code) return "network";
+    return "unknown";
+}
+
+// Échecs passagers du serveur quiz: la question en cours peut être retentée
+const TRANSIENT_ERROR_CLASSES = ["rate_limit", "network", "timeout", "server"];
+
+// Erreurs où la requête n'a certainement pas été traitée par le serveur
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+function isRetryable(error, idempotent) {
+    const errorClass = error.errorClass;
+    if (errorClass === "rate_limit") return true;
+    if (errorClass === "network" && NOT_SENT_CODES.includes(error.code)) return true;
+    // Requête peut-être traitée: on ne la rejoue que si elle est idempotente
+    return idempotent && ["network", "timeout", "server"].includes(errorClass);
+}
+
+function backoffDelay(attempt, error) {
+    const retryAfter = parseInt(error?.response?.headers?.['retry-after']);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, UPSTREAM_BACKOFF_MAX);
+    const delay = UPSTREAM_BACKOFF_BASE * 2 ** (attempt - 1);
+    return Math.min(delay + Math.floor(Math.random() * delay / 2), UPSTREAM_BACKOFF_MAX);
+}
+
+// Requête vers le serveur quiz avec délai, classification des erreurs et nouvelles
+// tentatives espacées. Les échecs définitifs alimentent le disjoncteur: après
+// CIRCUIT_BREAKER_THRESHOLD échecs consécutifs, le run est arrêté.
+async function upstreamRequest(operation, requestConfig, { idempotent }) {
+    for (let attempt = 1; ; attempt++) {
+        const startedAt = process.hrtime.bigint();
+        const observeDuration = () => {
+            upstreamDuration.observe({ operation }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        };
+        try {
+            const response = await axios({ timeout: UPSTREAM_TIMEOUT, ...requestConfig });
+            observeDuration();
+            consecutiveUpstreamFailures = 0;
+            return response.data;
+        } catch (error) {
+            observeDuration();
+            error.errorClass = classifyUpstreamError(error);
+            error.operation = operation;
+            upstreamErrorsCounter.inc({ operation, error_class: error.errorClass });
+
+            if (error.errorClass !== "auth" && attempt < UPSTREAM_MAX_ATTEMPTS && isRetryable(error, idempotent)) {
+                const delay = backoffDelay(attempt, error);
+                logger.warn(`🔁 ${operation}: ${error.errorClass} (${error.message}), tentative ${attempt + 1}/${UPSTREAM_MAX_ATTEMPTS} dans ${delay}ms`, {
+                    operation,
+                    errorClass: error.errorClass,
+                    attempt
+                });
+                await sleep(delay);
+                continue;
+            }
+
+            recordUpstreamFailure(error);
+            throw error;
         }
-        throw new Error("Timestamp dans le passé");
-    }
-    
-    // Si c'est au format HH:MM
-    const timeMatch = timeStr.match(/^(\d{1,2}):(\d{2})$/);
-    if (!timeMatch) {
-        throw new Error("Format invalide. Utilisez HH:MM ou timestamp");
     }
-    
-    const [, hours, minutes] = timeMatch;
-    const targetTime = new Date();
-    targetTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-    
-    // Si l'heure est déjà passée aujourd'hui, programmer pour demain
-    if (targetTime <= now) {
-        targetTime.setDate(targetTime.getDate() + 1);
+}
+
+function recordUpstreamFailure(error) {
+    lastUpstreamError = {
+        operation: error.operation,
+        errorClass: error.errorClass,
+        status: error.response?.status || null,
+        message: redactSecrets(error.message),
+        at: Date.now()
+    };
+
+    // Les tokens refusés sont gérés à part (pause WAITING_FOR_TOKEN)
+    if (error.errorClass === "auth") return;
+
+    consecutiveUpstreamFailures++;
+    if (consecutiveUpstreamFailures >= CIRCUIT_BREAKER_THRESHOLD && isProcessing) {
+        stopReason = `Disjoncteur: ${consecutiveUpstreamFailures} échecs consécutifs du serveur quiz (dernier: ${error.operation}, ${error.errorClass}: ${lastUpstreamError.message})`;
+        logger.error(`⛔ ${stopReason}`, { operation: error.operation, errorClass: error.errorClass });
+        isProcessing = false;
+        emitBotEvent("error", { message: stopReason, errorClass: error.errorClass, operation: error.operation });
     }
-    
-    return targetTime.getTime();
 }
 
-// Fonctions API du quiz
-async function getUserInfo() {
+async function getUserInfo(token = authToken) {
     try {
-        const response = await axios.get(`${BASE_URL}/users/me`, {
-            headers: getHeaders()
-        });
-        return response.data;
+        return await upstreamRequest("getUserInfo", {
+            method: 'get',
+            url: `${BASE_URL}/users/me`,
+            headers: getHeaders(token)
+        }, { idempotent: true });
     } catch (error) {
-        console.error(`❌ Erreur getUserInfo: ${error.message}`);
+        logger.error(`❌ Erreur getUserInfo (${error.errorClass}): ${error.message}`, { operation: "getUserInfo", errorClass: error.errorClass });
         throw error;
     }
 }
 
 async function fetchQuestion() {
     try {
-        const response = await axios.get(`${BASE_URL}/questions/fetch`, {
+        return await upstreamRequest("fetchQuestion", {
+            method: 'get',
+            url: `${BASE_URL}/questions/fetch`,
             headers: getHeaders()
-        });
-        return response.data;
+        }, { idempotent: true });
     } catch (error) {
-        console.error(`❌ Erreur fetchQuestion: ${error.message}`);
+        logger.error(`❌ Erreur fetchQuestion (${error.errorClass}): ${error.message}`, { operation: "fetchQuestion", errorClass: error.errorClass });
         throw error;
     }
 }
 
 async function submitAnswer(answer) {
     try {
-        const response = await axios.post(`${BASE_URL}/answers/submit`, {
-            answer: answer,
-            isBoost: true
-        }, {
+        return await upstreamRequest("submitAnswer", {
+            method: 'post',
+            url: `${BASE_URL}/answers/submit`,
+            data: {
+                answer: answer,
+                isBoost: runOptions.boost
+            },
             headers: getHeaders()
-        });
-        return response.data;
+        }, { idempotent: false });
     } catch (error) {
-        console.error(`❌ Erreur submitAnswer: ${error.message}`);
+        logger.error(`❌ Erreur submitAnswer (${error.errorClass}): ${error.message}`, { operation: "submitAnswer", errorClass: error.errorClass });
         throw error;
     }
 }
 
+// Soumission dont l'échec est ambigu (délai dépassé, 5xx...): on vérifie auprès du
+// serveur si la question est toujours la même avant de la soumettre à nouveau,
+// plutôt que de passer silencieusement à la suivante.
+// Sur la dernière question de la manche, cette vérification est impossible: si la
+// soumission a été enregistrée, /questions/fetch ouvrirait une nouvelle manche et
+// consommerait un tour. Le résultat reste alors inconfirmé.
+async function submitAnswerVerified(answer, questionData, { lastQuestion = false } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await withTokenRetry("submitAnswer", () => submitAnswer(answer));
+        } catch (error) {
+            if (error.errorClass === "auth" || error.errorClass === "client" || !isProcessing || attempt >= UPSTREAM_MAX_ATTEMPTS) {
+                throw error;
+            }
+
+            if (lastQuestion) {
+                logger.warn("⚠️ Dernière question de la manche: soumission non vérifiable, résultat inconnu");
+                return { correct: undefined, status: "unknown", unconfirmed: true };
+            }
+
+            await sleep(backoffDelay(attempt, error));
+            const current = await withTokenRetry("fetchQuestion", fetchQuestion);
+            if (current?.currentIndex !== questionData.currentIndex || current?.questionText !== questionData.questionText) {
+                logger.warn("⚠️ Soumission probablement enregistrée malgré l'erreur, résultat inconnu");
+                return { correct: undefined, status: "unknown", unconfirmed: true };
+            }
+            logger.warn(`🔁 Question toujours en attente, nouvelle soumission (${attempt + 1}/${UPSTREAM_MAX_ATTEMPTS})`);
+        }
+    }
+}
+
 // Algorithmes de résolution (portés du Python)
+function foldDiacritics(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
 function normalizeText(text) {
     if (!text) return "";
-    return text.toString().toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+    return foldDiacritics(text.toString())
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function editSimilarity(a, b) {
+    const maxLength = Math.max(a.length, b.length);
+    if (maxLength === 0) return 1;
+    return 1 - levenshtein(a, b) / maxLength;
+}
+
+// Similarité par mots: chaque mot de l'option est apparié (au plus une fois) au mot
+// le plus proche du segment. Les mots du segment non couverts pénalisent légèrement.
+function tokenSetSimilarity(option, segment) {
+    const optionTokens = option.split(' ').filter(Boolean).sort((a, b) => b.length - a.length);
+    const segmentTokens = segment.split(' ').filter(Boolean);
+    if (!optionTokens.length || !segmentTokens.length) return 0;
+
+    const used = new Set();
+    let matchedOption = 0;
+    let matchedSegment = 0;
+
+    for (const token of optionTokens) {
+        let bestIndex = -1;
+        let bestScore = 0;
+        segmentTokens.forEach((candidate, index) => {
+            if (used.has(index)) return;
+            const score = editSimilarity(token, candidate);
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+
+        // En dessous de 0.7, deux mots sont considérés comme différents
+        if (bestIndex >= 0 && bestScore >= 0.7) {
+            used.add(bestIndex);
+            matchedOption += bestScore * token.length;
+            matchedSegment += bestScore * segmentTokens[bestIndex].length;
+        }
+    }
+
+    const optionLength = optionTokens.reduce((sum, token) => sum + token.length, 0);
+    const segmentLength = segmentTokens.reduce((sum, token) => sum + token.length, 0);
+    const optionCoverage = matchedOption / optionLength;
+    const segmentCoverage = matchedSegment / segmentLength;
+
+    return optionCoverage * (0.75 + 0.25 * segmentCoverage);
+}
+
+function fuzzySimilarity(option, segment) {
+    const a = normalizeText(option);
+    const b = normalizeText(segment);
+    if (!a || !b) return 0;
+    return Math.max(editSimilarity(a, b), tokenSetSimilarity(a, b));
+}
+
+// Score de chaque option face au titre, du meilleur au moins bon
+function scoreOptionsFuzzy(title, options) {
+    const parsed = parseSongTitle(title);
+    if (parsed.isNumericId) return [];
+
+    // Le titre complet et chacune de ses parties (artiste, invités, titre)
+    const segments = [parsed.raw, parsed.artist, parsed.title, ...parsed.featured]
+        .filter(segment => segment && normalizeText(segment));
+    if (!segments.length) return [];
+
+    return options
+        .map(option => ({
+            option: String(option),
+            score: Math.max(...segments.map(segment => fuzzySimilarity(String(option), segment)))
+        }))
+        .sort((a, b) => b.score - a.score);
+}
+
+function fuzzyMatch(title, options, threshold = FUZZY_THRESHOLD) {
+    const [best, second] = scoreOptionsFuzzy(title, options);
+    if (!best || best.score < threshold) return null;
+    if (second && best.score - second.score < FUZZY_MIN_MARGIN) {
+        logger.warn(`🤔 Correspondance ambiguë: '${best.option}' (${best.score.toFixed(2)}) vs '${second.option}' (${second.score.toFixed(2)})`);
+        return null;
+    }
+
+    logger.info(`🔍 Correspondance approximative: '${best.option}' (score ${best.score.toFixed(2)})`);
+    return best.option;
 }
 
 function strstrMatch(title, options) {
@@ -443,105 +3136,485 @@ function strstrMatch(title, options) {
         const optionStr = String(option);
         const optionLower = optionStr.toLowerCase();
         if (titleLower.includes(optionLower)) {
-            console.log(`✅ Correspondance strstr: '${option}' dans '${title}'`);
+            logger.info(`✅ Correspondance strstr: '${option}' dans '${title}'`);
             return optionStr;
         }
     }
     return null;
 }
 
+// Correspondances partielles: part des mots de l'option présents dans le titre
+function strstrCandidates(title, options) {
+    const titleWords = new Set(normalizeText(title).split(' ').filter(Boolean));
+    const candidates = [];
+
+    for (const option of options) {
+        const words = normalizeText(option).split(' ').filter(Boolean);
+        if (!words.length) continue;
+        const found = words.filter(word => titleWords.has(word));
+        const score = found.length / words.length;
+        if (score >= SUGGESTION_MIN_SCORE) {
+            candidates.push({
+                option: String(option),
+                score,
+                reason: `mots dans le titre: ${found.join(' ')}`
+            });
+        }
+    }
+    return candidates;
+}
+
+// Analyse des titres de chanson (songInfo.title)
+const TITLE_NOISE_PATTERN = /\s*[(\[][^)\]]*\b(official|officiel|video|vid[ée]o|audio|lyrics?|paroles|clip|live|hd|hq|remaster(ed)?|visuali[sz]er)\b[^)\]]*[)\]]/gi;
+const FEATURING_PATTERN = /\s*[(\[]?\s*\b(?:ft|feat|featuring)\b\.?\s+([^)\]]+)[)\]]?/i;
+
+// Collaborations: ",", "&", "et", "and", et " x " en minuscule entre deux espaces
+// (un "X" isolé fait partie du nom: "Malcolm X")
+function splitArtists(text) {
+    return text.split(/\s+x\s+/)
+        .flatMap(part => part.split(/\s*(?:,|&|\bet\b|\band\b)\s*/i))
+        .map(name => name.trim())
+        .filter(Boolean);
+}
+
+// Extrait l'invité ("ft. X", "(feat. X)") d'une partie du titre
+function extractFeaturing(text) {
+    const match = text.match(FEATURING_PATTERN);
+    if (!match) return { text: text.trim(), featured: [] };
+    return {
+        text: text.replace(match[0], '').trim(),
+        featured: splitArtists(match[1])
+    };
+}
+
+// Formes reconnues: "Artiste - Titre" (tiret, demi-cadratin ou cadratin),
+// "Titre by Artiste", "Artiste ft. X - Titre", "Titre (Official Video)",
+// ou un simple identifiant numérique ("8") qui ne donne aucune information.
+function parseSongTitle(rawTitle) {
+    const raw = String(rawTitle ?? '').trim();
+    const parsed = {
+        raw,
+        isNumericId: /^\d+$/.test(raw),
+        artist: null,
+        featured: [],
+        title: null
+    };
+
+    if (!raw || parsed.isNumericId) return parsed;
+
+    const cleaned = raw.replace(TITLE_NOISE_PATTERN, '').trim();
+    let artistPart = null;
+    let titlePart = cleaned;
+
+    const dashMatch = cleaned.match(/\s+-\s+|\s*[\u2013\u2014]\s*/);
+    const byMatch = cleaned.match(/^(.+)\s+by\s+(.+)$/i);
+
+    if (dashMatch) {
+        artistPart = cleaned.slice(0, dashMatch.index);
+        titlePart = cleaned.slice(dashMatch.index + dashMatch[0].length);
+    } else if (byMatch) {
+        titlePart = byMatch[1];
+        artistPart = byMatch[2];
+    }
+
+    if (artistPart) {
+        const artistInfo = extractFeaturing(artistPart);
+        parsed.artist = artistInfo.text || null;
+        parsed.featured.push(...artistInfo.featured);
+    }
+
+    const titleInfo = extractFeaturing(titlePart);
+    parsed.title = titleInfo.text || null;
+    parsed.featured.push(...titleInfo.featured);
+
+    return parsed;
+}
+
 function artistTitleAnalysis(title, options, questionText) {
-    const questionLower = String(questionText).toLowerCase();
+    const { type } = questionClassifier.classify(questionText);
+    const isArtistQuestion = type === "artist";
+    const isTitleQuestion = type === "title";
     
-    const isArtistQuestion = ['ninde', 'yaririmvye', 'artist', 'singer', 'chanteur']
-        .some(word => questionLower.includes(word));
-    const isTitleQuestion = ['zina', 'ndirimbo', 'title', 'titre', 'song']
-        .some(word => questionLower.includes(word));
+    const parsed = parseSongTitle(title);
+    if (parsed.isNumericId) return null;
+
+    const findOption = (candidates) => {
+        const normalizedCandidates = candidates.filter(Boolean).map(normalizeText);
+        return options
+            .map(option => String(option))
+            .find(option => normalizedCandidates.includes(normalizeText(option))) || null;
+    };
     
-    const titleStr = String(title);
-    if (titleStr.includes(' - ')) {
-        const [artistPart, titlePart] = titleStr.split(' - ', 2);
-        
-        if (isArtistQuestion) {
-            console.log(`🎤 Question artiste détectée: '${artistPart}'`);
-            for (const option of options) {
-                const optionStr = String(option);
-                if (normalizeText(optionStr) === normalizeText(artistPart)) {
-                    console.log(`✅ Artiste trouvé: '${option}'`);
-                    return optionStr;
-                }
-            }
+    if (isArtistQuestion && parsed.artist) {
+        logger.info(`🎤 Question artiste détectée: '${parsed.artist}'${parsed.featured.length ? ` (ft. ${parsed.featured.join(', ')})` : ''}`);
+        const artist = findOption([parsed.artist, ...parsed.featured]);
+        if (artist) {
+            logger.info(`✅ Artiste trouvé: '${artist}'`);
+            return artist;
         }
-        
-        if (isTitleQuestion) {
-            console.log(`🎵 Question titre détectée: '${titlePart}'`);
-            for (const option of options) {
-                const optionStr = String(option);
-                if (normalizeText(optionStr) === normalizeText(titlePart)) {
-                    console.log(`✅ Titre trouvé: '${option}'`);
-                    return optionStr;
-                }
-            }
+    }
+    
+    if (isTitleQuestion && parsed.title) {
+        logger.info(`🎵 Question titre détectée: '${parsed.title}'`);
+        // Le titre brut nettoyé sert de repli ("Stand by Me" n'est pas "Titre by Artiste")
+        const songTitle = findOption([parsed.title, parsed.raw.replace(TITLE_NOISE_PATTERN, '')]);
+        if (songTitle) {
+            logger.info(`✅ Titre trouvé: '${songTitle}'`);
+            return songTitle;
         }
     }
     
     return null;
 }
 
-function findBestAnswer(questionText, title, options) {
-    console.log(`🎵 Titre: '${title}'`);
-    console.log(`🎯 Options: ${JSON.stringify(options)}`);
+// Candidats notés (0-1) de l'analyse artiste/titre, pour les suggestions
+function artistTitleCandidates(title, options, questionText) {
+    const { type } = questionClassifier.classify(questionText);
+    const isArtistQuestion = type === "artist";
+    const isTitleQuestion = type === "title";
+
+    const parsed = parseSongTitle(title);
+    if (parsed.isNumericId) return [];
+
+    const references = [];
+    if (isArtistQuestion) {
+        references.push(...[parsed.artist, ...parsed.featured].filter(Boolean).map(name => ({ text: name, kind: "artiste" })));
+    }
+    if (isTitleQuestion && parsed.title) {
+        references.push({ text: parsed.title, kind: "titre" });
+    }
+
+    const candidates = [];
+    for (const option of options) {
+        for (const reference of references) {
+            const score = fuzzySimilarity(String(option), reference.text);
+            if (score >= SUGGESTION_MIN_SCORE) {
+                candidates.push({
+                    option: String(option),
+                    score,
+                    reason: `${reference.kind} proche de '${reference.text}'`
+                });
+            }
+        }
+    }
+    return candidates;
+}
+
+// Fusionne les candidats de chaque étape: meilleur score par option, options
+// déjà refusées en dernier. Toutes les options figurent dans le classement.
+function rankSuggestions(candidates, options, eliminated = []) {
+    const best = {};
+    for (const candidate of candidates) {
+        if (!best[candidate.option] || candidate.score > best[candidate.option].score) {
+            best[candidate.option] = candidate;
+        }
+    }
+
+    return options
+        .map(option => String(option))
+        .map(option => {
+            if (eliminated.includes(option)) {
+                return { option, score: 0, reason: "déjà refusée", source: "elimination", eliminated: true };
+            }
+            const candidate = best[option];
+            return candidate
+                ? { option, score: Math.round(candidate.score * 100) / 100, reason: candidate.reason, source: candidate.source, eliminated: false }
+                : { option, score: 0, reason: "aucun indice", source: null, eliminated: false };
+        })
+        .sort((a, b) => (a.eliminated - b.eliminated) || (b.score - a.score));
+}
+
+// Pipeline de résolution: chaque résolveur reçoit le contexte de la question et
+// renvoie { answer } s'il conclut, et/ou des candidats notés pour les suggestions.
+const resolvers = new Map();
+const resolverStats = {};
+let resolverOrder = [];
+const disabledResolvers = new Set();
+
+function registerResolver(name, description, resolve) {
+    resolvers.set(name, { name, description, resolve });
+    resolverStats[name] = { attempted: 0, answered: 0, correct: 0, incorrect: 0 };
+    if (!resolverOrder.includes(name)) resolverOrder.push(name);
+}
+
+// Les résolveurs absents de l'ordre donné sont ajoutés à la fin
+function configureResolvers({ order, disabled } = {}) {
+    const unknown = [...(order || []), ...(disabled || [])].filter(name => !resolvers.has(name));
+    if (unknown.length) {
+        throw new Error(`Résolveurs inconnus: ${unknown.join(', ')}`);
+    }
+
+    if (order) {
+        resolverOrder = [...new Set([...order, ...resolvers.keys()])];
+    }
+    if (disabled) {
+        disabledResolvers.clear();
+        disabled.forEach(name => disabledResolvers.add(name));
+    }
+}
+
+function recordResolverOutcome(source, correct) {
+    const stats = resolverStats[source];
+    if (!stats) return;
+    if (correct) stats.correct++;
+    else stats.incorrect++;
+}
+
+function getResolverSummary() {
+    return resolverOrder.map(name => {
+        const stats = resolverStats[name];
+        const judged = stats.correct + stats.incorrect;
+        return {
+            name,
+            description: resolvers.get(name).description,
+            enabled: !disabledResolvers.has(name),
+            ...stats,
+            accuracy: judged > 0 ? ((stats.correct / judged) * 100).toFixed(2) + '%' : null
+        };
+    });
+}
+
+registerResolver("database", "Réponse connue dans la base", (context) => {
+    const dbAnswer = questionDB.findAnswer(context.title, context.questionText, context.options);
+    if (dbAnswer && context.options.includes(dbAnswer)) {
+        logger.info(`📚 Réponse DB: '${dbAnswer}'`);
+        return {
+            answer: dbAnswer,
+            candidates: [{ option: dbAnswer, score: DATABASE_CANDIDATE_SCORE, reason: "réponse connue dans la base" }]
+        };
+    }
+    return null;
+});
+
+// Chaque option encore possible a une chance sur le nombre d'options restantes
+registerResolver("elimination", "Seule option non encore refusée", (context) => {
+    if (context.remainingOptions.length === 1) {
+        logger.info(`🎯 Seule option restante: '${context.remainingOptions[0]}'`);
+        return { answer: context.remainingOptions[0] };
+    }
+    if (!context.eliminated.length || !context.remainingOptions.length) return null;
+    return {
+        candidates: context.remainingOptions.map(option => ({
+            option,
+            score: 1 / context.remainingOptions.length,
+            reason: `non refusée (${context.remainingOptions.length} options restantes)`
+        }))
+    };
+});
+
+registerResolver("strstr", "Option contenue dans le titre", (context) => {
+    const answer = strstrMatch(context.title, context.candidateOptions);
+    return {
+        answer,
+        candidates: strstrCandidates(context.title, context.candidateOptions)
+    };
+});
+
+registerResolver("artist_title", "Analyse 'Artiste - Titre'", (context) => ({
+    answer: artistTitleAnalysis(context.title, context.candidateOptions, context.questionText),
+    candidates: artistTitleCandidates(context.title, context.candidateOptions, context.questionText)
+}));
+
+// Correspondance approximative (accents, fautes, mots en trop)
+registerResolver("fuzzy", "Correspondance approximative", (context) => ({
+    answer: fuzzyMatch(context.title, context.candidateOptions),
+    candidates: scoreOptionsFuzzy(context.title, context.candidateOptions)
+        .filter(candidate => candidate.score >= SUGGESTION_MIN_SCORE)
+        .map(candidate => ({ ...candidate, reason: "correspondance partielle avec le titre" }))
+}));
+
+// Noms déjà vérifiés par loadConfig (RESOLVER_NAMES)
+configureResolvers({ order: RESOLVER_ORDER, disabled: DISABLED_RESOLVERS });
+
+// Résolveurs qui répondent d'après ce que la base a appris (réponses, options refusées)
+const DATABASE_RESOLVERS = ["database", "elimination"];
+
+// ignoreDatabase: résolution sans la base ni ses options refusées, pour mesurer les
+// autres résolveurs sur des questions déjà apprises (rejeu du corpus)
+function findBestAnswer(questionText, title, options, { ignoreDatabase = false } = {}) {
+    logger.info(`🎵 Titre: '${title}'`);
+    logger.info(`🎯 Options: ${JSON.stringify(options)}`);
     
     // Convertir toutes les options en strings dès le début
     const stringOptions = options.map(opt => String(opt));
     
-    // 1. Base de données
-    const dbAnswer = questionDB.findAnswer(title, questionText, stringOptions);
-    if (dbAnswer && stringOptions.includes(dbAnswer)) {
-        console.log(`📚 Réponse DB: '${dbAnswer}'`);
-        return { answer: dbAnswer, source: "database" };
+    const classification = questionClassifier.record(questionText);
+    if (classification.type !== "unknown") {
+        logger.info(`🏷️ Type: ${classification.type} (${classification.language})`);
     }
     
-    // 2. Correspondance strstr
-    const strstrResult = strstrMatch(title, stringOptions);
-    if (strstrResult) {
-        return { answer: strstrResult, source: "strstr" };
-    }
+    // Les options déjà refusées pour cette question sont écartées
+    const eliminated = ignoreDatabase ? [] : questionDB.getEliminatedOptions(title, questionText, stringOptions);
+    const remainingOptions = stringOptions.filter(opt => !eliminated.includes(opt));
+    const context = {
+        questionText,
+        questionType: classification.type,
+        title,
+        options: stringOptions,
+        eliminated,
+        remainingOptions,
+        candidateOptions: remainingOptions.length ? remainingOptions : stringOptions
+    };
+    
+    // Candidats notés de chaque résolveur, proposés à l'humain si aucun ne conclut
+    const candidates = [];
     
-    // 3. Analyse artiste/titre
-    const artistTitleResult = artistTitleAnalysis(title, stringOptions, questionText);
-    if (artistTitleResult) {
-        return { answer: artistTitleResult, source: "artist_title" };
+    for (const name of resolverOrder) {
+        if (disabledResolvers.has(name)) continue;
+        if (ignoreDatabase && DATABASE_RESOLVERS.includes(name)) continue;
+        
+        resolverStats[name].attempted++;
+        const outcome = resolvers.get(name).resolve(context) || {};
+        
+        if (outcome.candidates) {
+            candidates.push(...outcome.candidates.map(candidate => ({ ...candidate, source: name })));
+        }
+        if (outcome.answer) {
+            resolverStats[name].answered++;
+            return { answer: outcome.answer, source: name, questionType: classification.type };
+        }
     }
     
-    // 4. Intervention humaine requise
-    console.log("🚨 Intervention humaine requise");
-    return { answer: null, source: "human_needed" };
+    // Intervention humaine requise
+    const suggestions = rankSuggestions(candidates, stringOptions, eliminated);
+    logger.warn("🚨 Intervention humaine requise");
+    logger.info(`💡 Suggestions: ${suggestions.map(s => `${s.option} — ${s.score.toFixed(2)}, ${s.reason}`).join(' | ')}`);
+    return { answer: null, source: "human_needed", suggestions, questionType: classification.type };
+}
+
+// Meilleure supposition quand personne n'a répondu à temps: la suggestion
+// la mieux classée (les options déjà refusées sont classées en dernier)
+function bestGuess(suggestions) {
+    const [best] = suggestions;
+    logger.info(`🎲 Supposition: '${best.option}' (score ${best.score.toFixed(2)}, ${best.reason})`);
+    return best.option;
 }
 
 // Fonctions principales du bot
-async function waitForHumanAnswer(questionData, roundNum, questionNum) {
+function isAuthError(error) {
+    return error?.response?.status === 401;
+}
+
+// Met le run en pause (WAITING_FOR_TOKEN) jusqu'à ce que /submit-token fournisse
+// un token. Renvoie false si le bot est arrêté ou si le délai tokenTimeout expire.
+async function waitForNewToken(operation) {
+    waitingForToken = true;
+    logger.info(`🔒 Token refusé (${operation}), en attente d'un nouveau token...`);
+    logger.info("📡 Utilisez POST /submit-token pour reprendre");
+    emitBotEvent("token-expired", {
+        operation,
+        expiresAt: runOptions.tokenTimeout ? Date.now() + runOptions.tokenTimeout * 1000 : null
+    });
+
+    const outcome = await new Promise(resolve => {
+        let timer = null;
+        const done = (result) => {
+            clearTimeout(timer);
+            botEvents.off('token-submitted', onToken);
+            botEvents.off('stop-requested', onStop);
+            resolve(result);
+        };
+        const onToken = () => done("token");
+        const onStop = () => done("stopped");
+        botEvents.on('token-submitted', onToken);
+        botEvents.on('stop-requested', onStop);
+        if (runOptions.tokenTimeout) {
+            timer = setTimeout(() => done("timeout"), runOptions.tokenTimeout * 1000);
+        }
+    });
+
+    waitingForToken = false;
+
+    if (outcome === "timeout") {
+        logger.warn(`⏱️ Aucun token reçu après ${runOptions.tokenTimeout}s, arrêt du bot`);
+        stopReason = `Aucun token reçu après ${runOptions.tokenTimeout}s`;
+        isProcessing = false;
+    }
+    return outcome === "token" && isProcessing;
+}
+
+// Appel au serveur quiz qui, en cas de token refusé, attend un nouveau token puis
+// recommence le même appel: la manche et la question en cours ne sont pas perdues
+async function withTokenRetry(operation, call) {
+    for (;;) {
+        try {
+            return await call();
+        } catch (error) {
+            if (!isAuthError(error) || !isProcessing) throw error;
+            if (!(await waitForNewToken(operation))) throw error;
+        }
+    }
+}
+
+async function waitForHumanAnswer(questionData, roundNum, questionNum, suggestions = []) {
+    const title = questionData.songInfo?.title || '';
     pendingQuestion = {
         ...questionData,
+        title,
+        eliminatedOptions: questionDB.getEliminatedOptions(title, questionData.questionText, questionData.options),
+        suggestions,
         roundNumber: roundNum,
         questionNumber: questionNum,
+        receivedAt: Date.now(),
         humanAnswer: null,
-        saveIfCorrect: true
+        saveIfCorrect: true,
+        expiresAt: runOptions.humanTimeout ? Date.now() + runOptions.humanTimeout * 1000 : null
     };
     
     waitingForHumanIntervention = true;
-    console.log("⏳ En attente de l'intervention humaine...");
-    console.log("📡 Utilisez POST /human-answer pour répondre");
+    logger.info("⏳ En attente de l'intervention humaine...");
+    logger.info("📡 Utilisez POST /human-answer pour répondre");
+    emitBotEvent("question-pending", { question: pendingQuestionView() });
     
-    // Attendre la réponse
-    while (waitingForHumanIntervention && isProcessing) {
-        await sleep(1000);
-    }
+    // Attendre la réponse, l'arrêt du bot ou l'expiration du délai (suspendu pendant une pause)
+    const timedOut = await new Promise(resolve => {
+        let timer = null;
+        let remaining = pendingQuestion.expiresAt ? pendingQuestion.expiresAt - Date.now() : null;
+        const arm = () => {
+            if (remaining === null) return;
+            pendingQuestion.expiresAt = Date.now() + remaining;
+            timer = setTimeout(() => done(true), remaining);
+        };
+        const done = (expired) => {
+            clearTimeout(timer);
+            botEvents.off('human-answer', onEvent);
+            botEvents.off('stop-requested', onEvent);
+            botEvents.off('bot-paused', onPause);
+            botEvents.off('bot-resumed', arm);
+            resolve(expired);
+        };
+        const onEvent = () => done(false);
+        const onPause = () => {
+            if (remaining === null) return;
+            clearTimeout(timer);
+            remaining = Math.max(pendingQuestion.expiresAt - Date.now(), 0);
+            pendingQuestion.expiresAt = null;
+        };
+        botEvents.on('human-answer', onEvent);
+        botEvents.on('stop-requested', onEvent);
+        botEvents.on('bot-paused', onPause);
+        botEvents.on('bot-resumed', arm);
+        if (isPaused) {
+            pendingQuestion.expiresAt = null;
+        } else {
+            arm();
+        }
+    });
     
     if (!isProcessing) {
+        humanInterventionsCounter.inc({ outcome: "stopped" });
         return null;
     }
     
+    humanInterventionsCounter.inc({ outcome: timedOut ? "timeout" : "answered" });
+    if (timedOut) {
+        logger.warn(`⏱️ Pas de réponse humaine après ${runOptions.humanTimeout}s`);
+        const answer = bestGuess(suggestions.length ? suggestions : rankSuggestions([], questionData.options));
+        pendingQuestion = null;
+        waitingForHumanIntervention = false;
+        return { answer, source: "timeout_guess" };
+    }
+    
     const result = {
         answer: pendingQuestion.humanAnswer,
         source: "human",
@@ -552,171 +3625,408 @@ async function waitForHumanAnswer(questionData, roundNum, questionNum) {
     return result;
 }
 
-async function playRound(roundNum) {
-    console.log(`\n🎮 === MANCHE ${roundNum} ===`);
+// Vrai tant que `run` est le run en cours et n'a pas été arrêté: une boucle de jeu
+// ne lit pas seulement isProcessing, qui peut appartenir à un run plus récent
+function ownsRun(run) {
+    return isProcessing && currentRun === run;
+}
+
+// Point d'arrêt: bloque tant que le run est en pause, false si le bot a été arrêté
+async function waitWhilePaused(run) {
+    if (!isPaused) return ownsRun(run);
+
+    logger.info("⏸️ Bot en pause, POST /resume-bot pour continuer");
+    await new Promise(resolve => {
+        const done = () => {
+            botEvents.off('bot-resumed', done);
+            botEvents.off('stop-requested', done);
+            resolve();
+        };
+        botEvents.on('bot-resumed', done);
+        botEvents.on('stop-requested', done);
+    });
+    return ownsRun(run);
+}
+
+// firstQuestion > 1 lors de la reprise d'une manche interrompue
+async function playRound(run, roundNum, firstQuestion = 1) {
+    logger.info(`🎮 === MANCHE ${roundNum} ===`);
     let correctAnswers = 0;
     
-    for (let questionNum = 1; questionNum <= 10; questionNum++) {
-        if (!isProcessing) break;
+    for (let questionNum = firstQuestion; questionNum <= QUESTIONS_PER_ROUND; questionNum++) {
+        if (!(await waitWhilePaused(run))) break;
+        run.questionNumber = questionNum;
         
-        console.log(`\n📝 Question ${questionNum}/10`);
+        logger.info(`📝 Question ${questionNum}/${QUESTIONS_PER_ROUND}`);
+        
+        let corpusId = null;
+        const recordCorpusOutcome = (outcome) => {
+            if (corpusId) recordCorpus({ type: "outcome", id: corpusId, timestamp: Date.now(), ...outcome });
+        };
+        // Une question compte dans les stats une fois son sort connu (soumise, inconfirmée
+        // ou sautée après une erreur client), pas quand elle est reprise après un échec passager
+        let counted = false;
+        const countQuestion = () => {
+            if (counted) return;
+            counted = true;
+            currentStats.totalQuestions++;
+        };
         
         try {
             // Récupérer la question
-            const questionData = await fetchQuestion();
+            const questionData = await withTokenRetry("fetchQuestion", fetchQuestion);
             const { questionText, options, songInfo, currentIndex } = questionData;
             const title = songInfo?.title || '';
             
-            console.log(`❓ ${questionText}`);
-            console.log(`📍 Index: ${currentIndex}`);
+            corpusId = crypto.randomUUID();
+            recordCorpus({
+                type: "question",
+                id: corpusId,
+                timestamp: Date.now(),
+                runId: run.runId,
+                roundNumber: roundNum,
+                questionNumber: questionNum,
+                payload: questionData
+            });
             
-            currentStats.totalQuestions++;
+            logger.info(`❓ ${questionText}`);
+            logger.debug(`📍 Index: ${currentIndex}`);
             
             // Trouver la réponse
             let result = findBestAnswer(questionText, title, options);
+            const { questionType } = result;
+            questionsCounter.inc({ question_type: questionType });
+            const logEntry = {
+                roundNumber: roundNum,
+                questionNumber: questionNum,
+                title,
+                questionText,
+                options: options.map(opt => String(opt)),
+                questionType
+            };
             
             // Si intervention humaine nécessaire
             if (!result.answer) {
-                result = await waitForHumanAnswer(questionData, roundNum, questionNum);
+                result = await waitForHumanAnswer(questionData, roundNum, questionNum, result.suggestions);
                 if (!result) {
-                    console.log("❌ Processus arrêté pendant l'attente");
+                    recordCorpusOutcome({ questionType, correct: null, upstreamStatus: "stopped" });
+                    logger.info("❌ Processus arrêté pendant l'attente");
                     return false;
                 }
             }
             
+            // Une réponse humaine arrivée pendant la pause n'est soumise qu'à la reprise
+            if (!(await waitWhilePaused(run))) {
+                recordCorpusOutcome({ questionType, answer: result.answer, source: result.source, correct: null, upstreamStatus: "stopped" });
+                logger.info("❌ Processus arrêté pendant la pause");
+                return false;
+            }
+            
+            // Historique du run et corpus brut (question reçue telle quelle + réponse du serveur)
+            const recordOutcome = (correct, upstreamStatus, response) => {
+                const outcome = { answer: result.answer, source: result.source, correct, upstreamStatus };
+                countQuestion();
+                answersCounter.inc({
+                    source: result.source,
+                    result: correct === null ? "unconfirmed" : correct ? "correct" : "incorrect"
+                });
+                runHistory.recordQuestion(run.runId, { ...logEntry, ...outcome }, currentStats);
+                recordCorpusOutcome({ questionType, ...outcome, response });
+            };
+            
             // Soumettre la réponse
-            console.log(`📤 Soumission: '${result.answer}'`);
-            const submitResult = await submitAnswer(result.answer);
+            logger.info(`📤 Soumission: '${result.answer}'`, { answer: result.answer, source: result.source });
+            const lastQuestion = questionNum >= QUESTIONS_PER_ROUND;
+            const submitResult = await submitAnswerVerified(result.answer, questionData, { lastQuestion });
+            if (submitResult.unconfirmed) {
+                currentStats.errors++;
+                recordOutcome(null, "unconfirmed", null);
+                run.questionNumber = questionNum + 1;
+                await saveBotState();
+                await sleep(runOptions.questionDelay);
+                if (lastQuestion) {
+                    logger.info(`🏁 Manche terminée (dernière réponse inconfirmée)! Score: ${correctAnswers}/${QUESTIONS_PER_ROUND}`);
+                    break;
+                }
+                continue;
+            }
+            recordResolverOutcome(result.source, !!submitResult?.correct);
             
             if (submitResult?.correct) {
-                console.log(`✅ Correct! Status: ${submitResult.status}`);
+                logger.info(`✅ Correct! Status: ${submitResult.status}`, { source: result.source, correct: true });
                 correctAnswers++;
                 currentStats.correctAnswers++;
                 
-                // Sauvegarder si c'est une réponse humaine correcte
-                if (result.source === "human" && result.saveIfCorrect) {
-                    await questionDB.saveAnswer(title, questionText, options, result.answer);
-                    console.log("💾 Réponse humaine sauvegardée!");
+                // Sauvegarder la réponse avec sa provenance
+                if (result.source === "database") {
+                    await questionDB.confirmAnswer(title, questionText, options);
+                } else if (result.source === "human") {
+                    if (result.saveIfCorrect) {
+                        await questionDB.saveAnswer(title, questionText, options, result.answer, "human");
+                        logger.info("💾 Réponse humaine sauvegardée!");
+                    }
+                } else {
+                    await questionDB.saveAnswer(title, questionText, options, result.answer, result.source);
                 }
             } else {
-                console.log(`❌ Incorrect! Status: ${submitResult?.status || 'unknown'}`);
+                logger.info(`❌ Incorrect! Status: ${submitResult?.status || 'unknown'}`, { source: result.source, correct: false });
+                
+                // Éliminer cette option pour les prochaines fois
+                await questionDB.recordIncorrectAnswer(title, questionText, options, result.answer);
             }
             
-            await sleep(1000); // Pause entre questions
+            emitBotEvent("answer-submitted", {
+                roundNumber: roundNum,
+                questionNumber: questionNum,
+                title,
+                questionText,
+                answer: result.answer,
+                source: result.source,
+                correct: !!submitResult?.correct,
+                status: submitResult?.status || null
+            });
+            recordOutcome(!!submitResult?.correct, submitResult?.status || null, submitResult);
+            run.questionNumber = questionNum + 1;
+            await saveBotState();
+            
+            await sleep(runOptions.questionDelay); // Pause entre questions
             
             if (submitResult?.status === "completed") {
-                console.log(`🏁 Manche terminée! Score: ${correctAnswers}/10`);
+                logger.info(`🏁 Manche terminée! Score: ${correctAnswers}/${QUESTIONS_PER_ROUND}`);
                 break;
             }
             
         } catch (error) {
-            console.error(`❌ Erreur question ${questionNum}: ${error.message}`);
+            const message = redactSecrets(error.message);
+            logger.error(`❌ Erreur question ${questionNum}: ${message}`);
             currentStats.errors++;
-            await sleep(2000);
+            recordCorpusOutcome({ correct: null, upstreamStatus: "error", error: message, errorClass: error.errorClass || null });
+            emitBotEvent("error", {
+                roundNumber: roundNum,
+                questionNumber: questionNum,
+                message,
+                errorClass: error.errorClass || null,
+                operation: error.operation || null
+            });
+            // Échec passager du serveur quiz: la question n'a pas été jouée, on la reprend
+            // (le disjoncteur arrête le run si les échecs se répètent). Une erreur client
+            // (4xx) se reproduirait à l'identique: on passe à la question suivante.
+            if (TRANSIENT_ERROR_CLASSES.includes(error.errorClass)) {
+                questionNum--;
+            } else {
+                countQuestion();
+            }
+            await sleep(runOptions.errorDelay);
         }
     }
     
+    // Arrêt en cours de manche: elle reste à reprendre là où elle en était
+    if (!ownsRun(run)) return true;
+
     currentStats.roundsPlayed++;
+    roundsCounter.inc();
+    run.round = roundNum + 1;
+    run.questionNumber = 1;
+    await saveBotState();
+    emitBotEvent("round-finished", { roundNumber: roundNum, correctAnswers });
     return true;
 }
 
-async function startQuizBot(roundsToPlay) {
-    console.log(`🚀 Démarrage du bot: ${roundsToPlay} rounds`);
+// resumeFrom: { round, questionNumber, runId } pour reprendre un run interrompu;
+// trigger ("manual", "schedule:<nom>") est noté dans l'historique
+async function startQuizBot(roundsToPlay, options = {}, resumeFrom = null, trigger = "manual") {
+    const firstRound = resumeFrom?.round || 1;
+    const firstQuestion = resumeFrom?.questionNumber || 1;
+    logger.info(resumeFrom
+        ? `▶️ Reprise du bot: manche ${firstRound}/${roundsToPlay}, question ${firstQuestion}`
+        : `🚀 Démarrage du bot: ${roundsToPlay} rounds`);
+    runOptions = resolveRunOptions(options);
+    stopReason = null;
+    consecutiveUpstreamFailures = 0;
+    
+    // Historique: un run repris continue son enregistrement d'origine
+    await runHistory.ready;
+    const runId = resumeFrom?.runId && runHistory.resumeRun(resumeFrom.runId)
+        ? resumeFrom.runId
+        : runHistory.startRun({ rounds: roundsToPlay, options, trigger: resumeFrom ? "resume" : trigger });
+    
+    const run = {
+        runId,
+        rounds: roundsToPlay,
+        options,
+        round: firstRound,
+        questionNumber: firstQuestion,
+        startedAt: resumeFrom?.startedAt || Date.now()
+    };
+    currentRun = run;
+    await saveBotState();
+    if (runOptions.humanTimeout) {
+        logger.info(`⏱️ Délai d'intervention humaine: ${runOptions.humanTimeout}s`);
+    }
     
     try {
-        // Vérifier les tours disponibles
-        const userInfo = await getUserInfo();
+        // Ne pas jouer avant que la base et les types de questions soient chargés
+        await Promise.all([questionDB.ready, questionClassifier.ready]);
+        if (questionDB.loadError) {
+            throw new Error(`Base de données illisible: ${questionDB.loadError}`);
+        }
+        
+        // Vérifier les tours disponibles (une manche reprise en cours de route est déjà payée)
+        const userInfo = await withTokenRetry("getUserInfo", () => getUserInfo());
         const availableTurns = userInfo?.playTimes || 0;
+        const turnsNeeded = roundsToPlay - firstRound + 1 - (firstQuestion > 1 ? 1 : 0);
         
-        console.log(`👤 Utilisateur: ${userInfo?.name || 'Inconnu'}`);
-        console.log(`🎯 Tours disponibles: ${availableTurns}`);
-        console.log(`🎮 Tours demandés: ${roundsToPlay}`);
+        logger.info(`👤 Utilisateur: ${userInfo?.name || 'Inconnu'}`);
+        logger.info(`🎯 Tours disponibles: ${availableTurns}`);
+        logger.info(`🎮 Tours demandés: ${turnsNeeded}`);
         
-        if (availableTurns < roundsToPlay) {
-            console.log(`❌ Tours insuffisants! Manquants: ${roundsToPlay - availableTurns}`);
+        if (availableTurns < turnsNeeded) {
+            logger.error(`❌ Tours insuffisants! Manquants: ${turnsNeeded - availableTurns}`);
+            stopReason = `Tours insuffisants: ${availableTurns}/${turnsNeeded}`;
+            emitBotEvent("error", { message: stopReason });
             isProcessing = false;
             return;
         }
         
         // Jouer les rounds
-        for (let round = 1; round <= roundsToPlay && isProcessing; round++) {
-            const success = await playRound(round);
+        for (let round = firstRound; round <= roundsToPlay && ownsRun(run); round++) {
+            const success = await playRound(run, round, round === firstRound ? firstQuestion : 1);
             if (!success) {
-                console.log(`❌ Échec round ${round}`);
+                logger.warn(`❌ Échec round ${round}`);
                 break;
             }
             
             // Pause entre les rounds
-            if (round < roundsToPlay && isProcessing) {
-                console.log("⏳ Pause 2s avant le prochain round...");
-                await sleep(2000);
+            if (round < roundsToPlay && ownsRun(run)) {
+                logger.info(`⏳ Pause ${runOptions.roundDelay / 1000}s avant le prochain round...`);
+                await sleep(runOptions.roundDelay);
             }
         }
         
     } catch (error) {
-        console.error(`❌ Erreur générale: ${error.message}`);
+        const message = redactSecrets(error.message);
+        logger.error(`❌ Erreur générale: ${message}`);
         currentStats.errors++;
+        stopReason = stopReason || `Erreur: ${message}`;
+        emitBotEvent("error", { message });
     } finally {
         isProcessing = false;
-        console.log("🏁 Bot terminé");
-        console.log(`📊 Stats: ${currentStats.roundsPlayed}/${roundsToPlay} rounds, ${currentStats.correctAnswers}/${currentStats.totalQuestions} questions`);
+        isPaused = false;
+        pausedAt = null;
+        // Run inachevé sans arrêt manuel (disjoncteur, token...): il reste reprenable
+        const finished = run.round > roundsToPlay;
+        const stoppedManually = stopReason === "Arrêt manuel";
+        if (!finished && !stoppedManually) {
+            interruptedRun = {
+                ...run,
+                stats: { ...currentStats },
+                reason: stopReason || "Interrompu",
+                interruptedAt: Date.now()
+            };
+        }
+        if (currentRun === run) currentRun = null;
+        await saveBotState();
+        stopReason = stopReason || "Terminé";
+        const runStatus = finished ? "finished" : stoppedManually ? "stopped" : "interrupted";
+        runsCounter.inc({ status: runStatus });
+        await runHistory.finishRun(runId, {
+            status: runStatus,
+            stopReason,
+            stats: currentStats
+        });
+        logger.info("🏁 Bot terminé");
+        logger.info(`📊 Stats: ${currentStats.roundsPlayed}/${roundsToPlay} rounds, ${currentStats.correctAnswers}/${currentStats.totalQuestions} questions`);
+        emitBotEvent("bot-stopped", { runId, roundsRequested: roundsToPlay, reason: stopReason, stats: { ...currentStats } });
     }
 }
 
-async function scheduleQuizBot(rounds, targetTime) {
-    console.log(`⏰ Surveillance du planning: ${new Date(targetTime).toLocaleString()}`);
-    
-    const checkInterval = setInterval(() => {
-        if (!scheduledTime) {
-            clearInterval(checkInterval);
-            return;
-        }
-        
-        if (Date.now() >= targetTime) {
-            clearInterval(checkInterval);
-            console.log("🚀 Démarrage programmé!");
-            
-            isProcessing = true;
-            scheduledTime = null;
-            resetStats();
-            
-            startQuizBot(rounds).catch(error => {
-                console.error("❌ Erreur programmée:", error);
-                isProcessing = false;
-            });
-        }
-    }, 1000);
+// Reprend le run interrompu à sa manche, avec ses stats; `options` complète celles d'origine
+function resumeInterruptedRun(options = {}) {
+    const run = interruptedRun;
+    interruptedRun = null;
+
+    currentStats = { ...run.stats };
+
+    launchRun("Erreur à la reprise", run.rounds, { ...run.options, ...options }, run);
+}
+
+// Démarre startQuizBot en gardant sa promesse dans runPromise jusqu'à ce qu'il soit réglé
+function launchRun(errorLabel, ...args) {
+    isProcessing = true;
+    runPromise = startQuizBot(...args)
+        .catch(error => {
+            logger.error(`❌ ${errorLabel}: ${error.message}`);
+            isProcessing = false;
+            currentStats.errors++;
+        })
+        .finally(() => {
+            runPromise = null;
+        });
+}
+
+// Un run tourne, ou a été arrêté mais sa boucle n'est pas encore sortie
+function isBotBusy() {
+    return isProcessing || runPromise !== null;
+}
+
+function busyMessage() {
+    return isProcessing
+        ? "Le bot est déjà en cours d'exécution"
+        : "Le run précédent est en cours d'arrêt, réessayez dans un instant";
 }
 
 // Gestion propre de l'arrêt
 process.on('SIGINT', () => {
-    console.log('\n🛑 Arrêt par signal');
+    logger.info('🛑 Arrêt par signal');
     isProcessing = false;
-    scheduledTime = null;
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
-    console.log('\n🛑 Arrêt par SIGTERM');
+    logger.info('🛑 Arrêt par SIGTERM');
     isProcessing = false;
-    scheduledTime = null;
     process.exit(0);
 });
 
-// Démarrage du serveur
-const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => {
-    console.log(`🚀 Quiz Musical Bot API running on port ${PORT}`);
-    console.log(`\n📱 Endpoints principaux:`);
-    console.log(`   POST /start-bot - Démarre immédiatement`);
-    console.log(`   POST /schedule-bot - Programme pour plus tard`);
-    console.log(`   POST /human-answer - Répond aux questions`);
-    console.log(`   GET /status - Statut et question en attente`);
-    console.log(`\n💡 Usage typique:`);
-    console.log(`   1. POST /start-bot {token: "xxx", rounds: 5}`);
-    console.log(`   2. Surveiller GET /status pour les questions`);
-    console.log(`   3. Répondre avec POST /human-answer {answer: "..."}`);
-    console.log(`\n⏰ Scheduling:`);
-    console.log(`   POST /schedule-bot {token: "xxx", rounds: 5, time: "22:00"}`);
-    console.log(`   (time peut être "HH:MM" ou timestamp Unix)`);
-});
\ No newline at end of file
+// Démarrage du serveur (uniquement si lancé directement, pas via require)
+const PORT = config.port;
+if (require.main === module) {
+    if (API_AUTH_ENABLED && !API_READONLY_KEYS.length && !API_OPERATOR_KEYS.length) {
+        logger.error("❌ Aucune clé API configurée (QUIZ_API_OPERATOR_KEYS, QUIZ_API_READONLY_KEYS). " +
+            "Pour une API ouverte en développement: QUIZ_API_AUTH=disabled");
+        process.exit(1);
+    }
+
+    restoreBotState().catch(error => {
+        logger.error(`❌ Restauration de l'état impossible: ${error.message}`);
+    });
+
+    app.listen(PORT, () => {
+        logger.info(`🚀 Quiz Musical Bot API running on port ${PORT}`);
+        if (!API_AUTH_ENABLED) {
+            logger.warn("⚠️ Authentification désactivée (QUIZ_API_AUTH=disabled): API ouverte à tous");
+        }
+        logger.info(`🌐 Serveur quiz: ${BASE_URL}`);
+        // Aide de démarrage: seulement en sortie texte, inutile dans un journal JSON
+        if (logger.format === "text") {
+            logger.info(`📱 Endpoints principaux:`);
+            logger.info(`   POST /start-bot - Démarre immédiatement`);
+            logger.info(`   POST /schedule-bot - Programme pour plus tard`);
+            logger.info(`   POST /human-answer - Répond aux questions`);
+            logger.info(`   GET /status - Statut et question en attente`);
+            logger.info(`   GET /console - Console web`);
+            logger.info(`💡 Usage typique:`);
+            logger.info(`   1. POST /start-bot {token: "xxx", rounds: 5}`);
+            logger.info(`   2. Surveiller GET /status pour les questions`);
+            logger.info(`   3. Répondre avec POST /human-answer {answer: "..."}`);
+            logger.info(`⏰ Scheduling:`);
+            logger.info(`   POST /schedule-bot {token: "xxx", rounds: 5, time: "22:00"}`);
+            logger.info(`   (time peut être "HH:MM" ou timestamp Unix)`);
+            logger.info(`   POST /schedule-bot {token: "xxx", rounds: 5, name: "soir", repeat: "daily", time: "22:00", timezone: "Africa/Bujumbura"}`);
+            logger.info(`   POST /schedule-bot {token: "xxx", rounds: 5, cron: "0 8 * * 1-5"}`);
+            logger.info(`   GET /schedules, DELETE /schedules/:name`);
+        }
+    });
+}
+
+module.exports = { app, config, botEvents, WebhookDispatcher, questionDB, questionClassifier, runHistory, normalizeText, fuzzyMatch, findBestAnswer, parseSongTitle, parseCron, nextCronRun, parseScheduleSpec, CORPUS_FILE };
@@ -0,0 +1,46 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const axios = require("axios");
+const { isolatedEnv, listen, close } = require("./helpers");
+
+// Authentification par clé: rôles et clé passée dans l'URL
+let bot;
+
+before(async () => {
+    isolatedEnv({
+        QUIZ_API_AUTH: "enabled",
+        QUIZ_API_READONLY_KEYS: "lecture",
+        QUIZ_API_OPERATOR_KEYS: "operateur"
+    });
+    const server = require("../server");
+    bot = await listen(server.app);
+});
+
+after(async () => {
+    await close(bot.server);
+});
+
+const request = (method, path, headers = {}) => axios({ method, url: `${bot.url}${path}`, headers, validateStatus: null });
+
+test("les GET demandent une clé lecture seule, le reste une clé opérateur", async () => {
+    assert.equal((await request("get", "/status")).status, 401);
+    assert.equal((await request("get", "/status", { "X-API-Key": "lecture" })).status, 200);
+    assert.equal((await request("post", "/pause-bot", { "X-API-Key": "lecture" })).status, 403);
+    assert.equal((await request("post", "/pause-bot", { Authorization: "Bearer operateur" })).status, 400);
+});
+
+test("?api_key= n'est accepté que pour GET /events", async () => {
+    assert.equal((await request("get", "/status?api_key=lecture")).status, 401);
+    assert.equal((await request("post", "/pause-bot?api_key=operateur")).status, 401);
+
+    // Flux SSE: seul l'en-tête de réponse est lu, puis la connexion est fermée
+    const status = await new Promise((resolve, reject) => {
+        const req = http.get(`${bot.url}/events?api_key=lecture`, res => {
+            resolve(res.statusCode);
+            req.destroy();
+        });
+        req.on('error', reject);
+    });
+    assert.equal(status, 200);
+});
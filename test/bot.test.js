@@ -0,0 +1,152 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const axios = require("axios");
+const express = require("express");
+const { createMockServer } = require("../mock-server");
+const { isolatedEnv, listen, close } = require("./helpers");
+
+// Bout en bout: le bot joue une manche complète contre le serveur quiz simulé
+let mock;
+let upstream;
+let bot;
+let server;
+// Prochaine soumission refusée par une erreur 503 (non enregistrée par le serveur simulé)
+let failNextSubmit = false;
+
+before(async () => {
+    mock = createMockServer({ playTimes: 5 });
+    const upstreamApp = express();
+    upstreamApp.use((req, res, next) => {
+        if (!failNextSubmit || req.path !== "/answers/submit") return next();
+        failNextSubmit = false;
+        res.status(503).json({ message: "Simulated failure" });
+    });
+    upstreamApp.use(mock.app);
+    upstream = await listen(upstreamApp);
+    // Une seule tentative par appel: une panne simulée remonte directement à la boucle de jeu
+    isolatedEnv({ QUIZ_BASE_URL: upstream.url, QUIZ_HTTP_MAX_ATTEMPTS: "1" });
+
+    server = require("../server");
+    await Promise.all([server.questionDB.ready, server.questionClassifier.ready]);
+    bot = await listen(server.app);
+});
+
+after(async () => {
+    await close(bot.server);
+    await close(upstream.server);
+});
+
+test("joue une manche contre le serveur simulé", async () => {
+    const stopped = new Promise(resolve => {
+        server.botEvents.on('bot-event', event => {
+            if (event.type === "bot-stopped") resolve(event);
+        });
+    });
+
+    // Base vide: les questions sans réponse évidente passent par le délai d'intervention humaine
+    const response = await axios.post(`${bot.url}/start-bot`, { token: "test-token", rounds: 1, humanTimeout: 0.1 });
+    assert.equal(response.data.success, true);
+
+    const event = await stopped;
+    assert.equal(event.reason, "Terminé");
+    assert.equal(event.stats.roundsPlayed, 1);
+    assert.equal(event.stats.totalQuestions, 10);
+    assert.equal(event.stats.errors, 0);
+
+    // Un seul tour consommé, et la manche est terminée côté serveur
+    assert.equal(mock.user.playTimes, 4);
+    assert.equal(mock.user.round, null);
+
+    // Les bonnes réponses sont apprises
+    assert.ok(Object.keys(server.questionDB.db).length > 0);
+
+    // Corpus: chaque question reçue, puis son résultat
+    const corpus = fs.readFileSync(server.CORPUS_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(corpus.filter(line => line.type === "question").length, 10);
+    assert.equal(corpus.filter(line => line.type === "outcome" && typeof line.correct === 'boolean').length, 10);
+
+    const status = await axios.get(`${bot.url}/status`);
+    assert.equal(status.data.isProcessing, false);
+});
+
+test("une question reprise après un échec passager n'est comptée qu'une fois", async () => {
+    let failed = false;
+    const stopped = new Promise(resolve => {
+        const onEvent = event => {
+            // Après la première réponse, la soumission de la suivante échoue: elle est rejouée
+            if (event.type === "answer-submitted" && !failed) {
+                failed = true;
+                failNextSubmit = true;
+            }
+            if (event.type === "bot-stopped") {
+                server.botEvents.off('bot-event', onEvent);
+                resolve(event);
+            }
+        };
+        server.botEvents.on('bot-event', onEvent);
+    });
+
+    await axios.post(`${bot.url}/start-bot`, { token: "test-token", rounds: 1, humanTimeout: 0.1 });
+    const event = await stopped;
+    assert.equal(event.stats.roundsPlayed, 1);
+    assert.equal(event.stats.totalQuestions, 10);
+    assert.equal(event.stats.errors, 1);
+
+    const stats = await axios.get(`${bot.url}/stats`);
+    assert.equal(stats.data.totalQuestions, 10);
+});
+
+test("refuse un nombre de manches qui n'est pas un entier positif", async () => {
+    for (const rounds of ["abc", -1, 1.5]) {
+        for (const route of ["start-bot", "schedule-bot"]) {
+            const response = await axios.post(`${bot.url}/${route}`, { token: "test-token", rounds, time: Date.now() + 60000 }, { validateStatus: null });
+            assert.equal(response.status, 400, `${route} ${rounds}`);
+            assert.match(response.data.error, /^rounds:/);
+        }
+    }
+
+    const status = await axios.get(`${bot.url}/status`);
+    assert.equal(status.data.isProcessing, false);
+    assert.equal(status.data.interruptedRun, null);
+});
+
+test("un run arrêté doit être terminé avant d'en démarrer un autre", async () => {
+    const events = [];
+    const onEvent = event => events.push(event);
+    server.botEvents.on('bot-event', onEvent);
+    const nextEvent = (type) => new Promise(resolve => {
+        const check = event => {
+            if (event.type !== type) return;
+            server.botEvents.off('bot-event', check);
+            resolve(event);
+        };
+        server.botEvents.on('bot-event', check);
+    });
+
+    // Long délai entre questions: après l'arrêt, l'ancienne boucle dort encore
+    const submitted = nextEvent("answer-submitted");
+    await axios.post(`${bot.url}/start-bot`, { token: "test-token", rounds: 1, humanTimeout: 0.1, questionDelay: 500 });
+    await submitted;
+
+    const stopped = nextEvent("bot-stopped");
+    await axios.post(`${bot.url}/stop-bot`);
+    const refused = await axios.post(`${bot.url}/start-bot`, { token: "test-token", rounds: 1 }, { validateStatus: null });
+    assert.equal(refused.status, 400);
+    assert.match(refused.data.error, /en cours d'arrêt/);
+
+    const event = await stopped;
+    assert.equal(event.reason, "Arrêt manuel");
+    const answers = events.filter(e => e.type === "answer-submitted").length;
+
+    // Une fois l'ancien run réglé, un nouveau run est accepté
+    const restarted = nextEvent("bot-stopped");
+    const accepted = await axios.post(`${bot.url}/start-bot`, { token: "test-token", rounds: 1, humanTimeout: 0.1, questionDelay: 500 });
+    assert.equal(accepted.data.success, true);
+    await axios.post(`${bot.url}/stop-bot`);
+    await restarted;
+
+    // L'ancien run n'a plus rien soumis après son arrêt
+    assert.equal(answers, 1);
+    server.botEvents.off('bot-event', onEvent);
+});
@@ -0,0 +1,41 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { isolatedEnv } = require("./helpers");
+
+// La configuration est lue au chargement de server.js: chaque cas tourne dans un processus à part
+const SERVER = path.join(__dirname, "..", "server.js");
+
+function loadServer(env) {
+    isolatedEnv();
+    return spawnSync(process.execPath, ['-e', `console.log(require(${JSON.stringify(SERVER)}).config.fuzzyThreshold)`], {
+        env: { ...process.env, ...env },
+        encoding: 'utf8',
+        timeout: 20000
+    });
+}
+
+test("FUZZY_THRESHOLD accepte les bornes 0 et 1 sans repli sur la valeur par défaut", () => {
+    for (const value of ["0", "1", "0.6"]) {
+        const result = loadServer({ FUZZY_THRESHOLD: value });
+        assert.equal(result.status, 0, result.stderr);
+        assert.equal(result.stdout.trim().split('\n').pop(), String(Number(value)));
+    }
+});
+
+test("FUZZY_THRESHOLD hors de 0-1 ou non numérique empêche le chargement", () => {
+    for (const value of ["1.5", "-0.1", "abc"]) {
+        const result = loadServer({ FUZZY_THRESHOLD: value });
+        assert.notEqual(result.status, 0);
+        assert.match(result.stderr, /fuzzyThreshold \(FUZZY_THRESHOLD\)/);
+    }
+});
+
+test("un résolveur inconnu est signalé avec les autres erreurs de configuration", () => {
+    const result = loadServer({ QUIZ_RESOLVER_ORDER: "strstr,inconnu", QUIZ_DISABLED_RESOLVERS: "fuzy", FUZZY_THRESHOLD: "2" });
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /resolverOrder \(QUIZ_RESOLVER_ORDER\): valeurs inconnues inconnu/);
+    assert.match(result.stderr, /disabledResolvers \(QUIZ_DISABLED_RESOLVERS\): valeurs inconnues fuzy/);
+    assert.match(result.stderr, /fuzzyThreshold/);
+});
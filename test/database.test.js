@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { isolatedEnv } = require("./helpers");
+
+// La base est chargée au require de server.js: chaque cas tourne dans un processus à part
+const SERVER = path.join(__dirname, "..", "server.js");
+
+function loadDatabase(content, dir = isolatedEnv()) {
+    const dbFile = path.join(dir, "quiz_answers_db.json");
+    fs.writeFileSync(dbFile, content);
+    const script = `const { questionDB } = require(${JSON.stringify(SERVER)});
+        questionDB.ready.then(() => console.log(JSON.stringify({ loadError: questionDB.loadError, count: Object.keys(questionDB.db).length })));`;
+    const result = spawnSync(process.execPath, ['-e', script], { env: process.env, encoding: 'utf8', timeout: 20000 });
+    assert.equal(result.status, 0, result.stderr);
+    return { dir, dbFile, ...JSON.parse(result.stdout.trim().split('\n').pop()) };
+}
+
+test("un fichier qui n'est ni v2 ni v1 n'est pas migré ni écrasé", () => {
+    for (const content of ['{"version":3,"entries":{}}', '["a","b"]', 'null']) {
+        const { dir, dbFile, loadError } = loadDatabase(content);
+        assert.ok(loadError, content);
+        assert.equal(fs.readFileSync(dbFile, 'utf8'), content);
+        assert.ok(!fs.readdirSync(dir).some(name => name.includes(".v1")), content);
+    }
+});
+
+test("migre une base v1 sans remplacer une copie v1 existante", () => {
+    const v1 = JSON.stringify({ "Hello::Qui chante?::Adele|Sia": "Adele" });
+    const dir = isolatedEnv();
+    fs.writeFileSync(path.join(dir, "quiz_answers_db.v1.json"), "ancienne copie");
+
+    const { dbFile, loadError, count } = loadDatabase(v1, dir);
+    assert.equal(loadError, null);
+    assert.equal(count, 1);
+    assert.equal(JSON.parse(fs.readFileSync(dbFile, 'utf8')).version, 2);
+
+    const copies = fs.readdirSync(dir).filter(name => name.startsWith("quiz_answers_db.v1"));
+    assert.equal(copies.length, 2);
+    assert.equal(fs.readFileSync(path.join(dir, "quiz_answers_db.v1.json"), 'utf8'), "ancienne copie");
+});
@@ -0,0 +1,42 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Environnement isolé pour charger server.js dans un test: fichiers dans un dossier
+// temporaire, API ouverte, pas de pauses entre questions, journal limité aux erreurs.
+// À appeler avant require("../server"), qui lit sa configuration au chargement.
+function isolatedEnv(overrides = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "quiz-bot-test-"));
+    Object.assign(process.env, {
+        QUIZ_CONFIG_FILE: path.join(dir, "quiz_config.json"),
+        QUIZ_DB_FILE: path.join(dir, "quiz_answers_db.json"),
+        QUIZ_DB_BACKUP_DIR: path.join(dir, "backups"),
+        QUIZ_STATE_FILE: path.join(dir, "bot_state.json"),
+        QUIZ_HISTORY_DIR: path.join(dir, "history"),
+        QUIZ_CORPUS_FILE: path.join(dir, "question_corpus.jsonl"),
+        QUIZ_API_AUTH: "disabled",
+        QUIZ_QUESTION_DELAY: "0",
+        QUIZ_ROUND_DELAY: "0",
+        QUIZ_ERROR_DELAY: "0",
+        QUIZ_LOG_LEVEL: "error",
+        ...overrides
+    });
+    return dir;
+}
+
+// Démarre une application Express sur un port libre
+function listen(app) {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, "127.0.0.1", () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+        });
+        server.on('error', reject);
+    });
+}
+
+function close(server) {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+}
+
+module.exports = { isolatedEnv, listen, close };
@@ -0,0 +1,78 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { isolatedEnv } = require("./helpers");
+
+// Résolution hors ligne (base vide): comparaison approximative et types de questions
+let server;
+
+before(async () => {
+    isolatedEnv();
+    server = require("../server");
+    await Promise.all([server.questionDB.ready, server.questionClassifier.ready]);
+});
+
+test("normalizeText replie les accents au lieu de les supprimer", () => {
+    const { normalizeText } = server;
+    assert.equal(normalizeText("Non je n'ai rien oublié"), "non je nai rien oublie");
+    assert.equal(normalizeText("Adèle - Hello (Live)"), "adele hello live");
+    assert.equal(normalizeText("  Ça  va  "), "ca va");
+});
+
+test("fuzzyMatch retrouve l'option malgré accents, mentions et fautes", () => {
+    const { fuzzyMatch } = server;
+    assert.equal(fuzzyMatch("Adèle - Hello (Live)", ["Adele", "Sia", "Rihanna"]), "Adele");
+    assert.equal(fuzzyMatch("Non je n'ai rien oublie", ["Le chanteur", "Non je n'ai rien oublié", "Pour un flirt"]), "Non je n'ai rien oublié");
+    assert.equal(fuzzyMatch("Helo", ["Hello", "Skyfall"]), "Hello");
+});
+
+test("fuzzyMatch ne choisit pas sous le seuil ni entre deux options trop proches", () => {
+    const { fuzzyMatch } = server;
+    // "Helo" / "Hello" vaut 0.8: accepté au seuil par défaut (0.75), pas à 0.9
+    assert.equal(fuzzyMatch("Helo", ["Hello", "Skyfall"], 0.9), null);
+    assert.equal(fuzzyMatch("Rolling in the Deep", ["Adele", "Rihanna"]), null);
+    // Écart inférieur à la marge minimale entre les deux meilleures options
+    assert.equal(fuzzyMatch("Marie Jo", ["Marie Joe", "Marie Jos"]), null);
+    assert.equal(fuzzyMatch("Happy - Happy Birthday Party", ["Happy Birthday", "Happy Birthdays"]), null);
+    // Un identifiant numérique ne dit rien de la chanson
+    assert.equal(fuzzyMatch("8", ["8 Mile", "Hello"]), null);
+});
+
+test("findBestAnswer passe par l'étape approximative quand les autres échouent", () => {
+    const { findBestAnswer } = server;
+
+    let result = findBestAnswer("Quelle est la bonne réponse?", "Adèle - Hello (Live)", ["Adele", "Sia", "Rihanna"]);
+    assert.equal(result.answer, "Adele");
+    assert.equal(result.source, "fuzzy");
+
+    result = findBestAnswer("Quelle est la bonne réponse?", "Charles Aznavour - Non je n'ai rien oublie", ["Le chanteur", "Non je n'ai rien oublié", "Pour un flirt"]);
+    assert.equal(result.answer, "Non je n'ai rien oublié");
+    assert.equal(result.source, "fuzzy");
+
+    // Rien d'assez proche: intervention humaine, toutes les options en suggestion
+    result = findBestAnswer("Qui chante cette chanson?", "Rolling in the Deep", ["Adele", "Rihanna"]);
+    assert.equal(result.answer, null);
+    assert.equal(result.source, "human_needed");
+    assert.deepEqual(result.suggestions.map(suggestion => suggestion.option).sort(), ["Adele", "Rihanna"]);
+});
+
+test("parseSongTitle reconnaît chaque forme de titre", () => {
+    const { parseSongTitle } = server;
+    const parts = (title) => {
+        const { artist, featured, title: song } = parseSongTitle(title);
+        return { artist, featured, title: song };
+    };
+
+    assert.deepEqual(parts("Hello by Adele"), { artist: "Adele", featured: [], title: "Hello" });
+    assert.deepEqual(parts("Adele - Hello"), { artist: "Adele", featured: [], title: "Hello" });
+    assert.deepEqual(parts("Adele – Hello"), { artist: "Adele", featured: [], title: "Hello" });
+    assert.deepEqual(parts("Adele — Hello"), { artist: "Adele", featured: [], title: "Hello" });
+    assert.deepEqual(parts("Artist ft. X - Title"), { artist: "Artist", featured: ["X"], title: "Title" });
+    assert.deepEqual(parts("Common ft. Malcolm X - Speech"), { artist: "Common", featured: ["Malcolm X"], title: "Speech" });
+    assert.deepEqual(parts("Hello (feat. Dadju x Tayc)"), { artist: null, featured: ["Dadju", "Tayc"], title: "Hello" });
+    assert.deepEqual(parts("Skyfall (Official Video)"), { artist: null, featured: [], title: "Skyfall" });
+
+    const numeric = parseSongTitle("8");
+    assert.equal(numeric.isNumericId, true);
+    assert.equal(numeric.artist, null);
+    assert.equal(numeric.title, null);
+});
@@ -0,0 +1,85 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { isolatedEnv } = require("./helpers");
+
+// Plannings: expressions cron, fuseaux horaires et changements d'heure (instants fixes)
+let server;
+
+before(() => {
+    isolatedEnv();
+    server = require("../server");
+});
+
+// Les `count` prochaines exécutions après `after`, en ISO (UTC)
+function nextRuns(expression, timeZone, after, count) {
+    const cron = server.parseCron(expression);
+    const runs = [];
+    let time = Date.parse(after);
+    for (let i = 0; i < count; i++) {
+        time = server.nextCronRun(cron, timeZone, time);
+        runs.push(time === null ? null : new Date(time).toISOString());
+    }
+    return runs;
+}
+
+test("jours ouvrés à 08:00 en Africa/Bujumbura (UTC+2)", () => {
+    // Vendredi 16 octobre 2026, 09:00 locale: la prochaine exécution est lundi
+    assert.deepEqual(nextRuns("0 8 * * 1-5", "Africa/Bujumbura", "2026-10-16T07:00:00Z", 3), [
+        "2026-10-19T06:00:00.000Z",
+        "2026-10-20T06:00:00.000Z",
+        "2026-10-21T06:00:00.000Z"
+    ]);
+    // Vendredi 07:59 locale: encore ce jour-là
+    assert.deepEqual(nextRuns("0 8 * * 1-5", "Africa/Bujumbura", "2026-10-16T05:59:00Z", 1), ["2026-10-16T06:00:00.000Z"]);
+});
+
+test("02:30 quotidien en Europe/Paris à travers les changements d'heure", () => {
+    // Retour à l'heure d'hiver (25 octobre 2026): 02:30 existe deux fois, une seule exécution
+    assert.deepEqual(nextRuns("30 2 * * *", "Europe/Paris", "2026-10-24T12:00:00Z", 3), [
+        "2026-10-25T00:30:00.000Z",
+        "2026-10-26T01:30:00.000Z",
+        "2026-10-27T01:30:00.000Z"
+    ]);
+    // Passage à l'heure d'été (28 mars 2027): 02:30 n'existe pas, rattrapé à 03:00
+    assert.deepEqual(nextRuns("30 2 * * *", "Europe/Paris", "2027-03-27T12:00:00Z", 3), [
+        "2027-03-28T01:00:00.000Z",
+        "2027-03-29T00:30:00.000Z",
+        "2027-03-30T00:30:00.000Z"
+    ]);
+    // Le jour de 23 h ne fait pas sauter le minuit suivant
+    assert.deepEqual(nextRuns("30 0 * * 1", "Europe/Paris", "2027-03-27T23:10:00Z", 1), ["2027-03-28T22:30:00.000Z"]);
+});
+
+test("29 février: seulement les années bissextiles", () => {
+    assert.deepEqual(nextRuns("0 12 29 2 *", "UTC", "2026-03-01T00:00:00Z", 2), [
+        "2028-02-29T12:00:00.000Z",
+        "2032-02-29T12:00:00.000Z"
+    ]);
+});
+
+test("jour du mois et jour de semaine restreints: l'un ou l'autre suffit", () => {
+    // Le 13 ou un vendredi, octobre 2026
+    assert.deepEqual(nextRuns("0 9 13 * 5", "UTC", "2026-10-01T00:00:00Z", 4), [
+        "2026-10-02T09:00:00.000Z",
+        "2026-10-09T09:00:00.000Z",
+        "2026-10-13T09:00:00.000Z",
+        "2026-10-16T09:00:00.000Z"
+    ]);
+});
+
+test("refuse les champs hors limites ou mal formés", () => {
+    for (const expression of ["60 * * * *", "0 24 * * *", "0 0 0 * *", "0 0 32 * *", "0 0 * 13 *", "0 0 * * 8", "5-1 * * * *", "*/0 * * * *", "a * * * *", "0 0 * *"]) {
+        assert.throws(() => server.parseCron(expression), /cron/i, expression);
+    }
+    assert.throws(() => server.parseScheduleSpec({ repeat: "weekly", time: "08:00", days: ["lun"] }, "UTC"), /Jour invalide/);
+    assert.throws(() => server.parseScheduleSpec({ repeat: "daily", time: "24:00" }, "UTC"), /Heure invalide/);
+    assert.throws(() => server.parseScheduleSpec({ repeat: "monthly", time: "08:00" }, "UTC"), /Répétition inconnue/);
+});
+
+test("un planning hebdomadaire devient une expression cron", () => {
+    assert.deepEqual(server.parseScheduleSpec({ repeat: "weekly", time: "8:05", days: ["fri", "mon", "1"] }, "UTC"), {
+        repeat: "weekly",
+        cron: "5 8 * * 1,5",
+        at: null
+    });
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const axios = require("axios");
+const { createMockServer } = require("../mock-server");
+const { isolatedEnv, listen, close } = require("./helpers");
+
+// Livraisons de webhooks vers le récepteur du serveur simulé (/__mock/webhook)
+const SECRET = "webhook-test-secret";
+let mock;
+let receiver;
+let WebhookDispatcher;
+
+before(async () => {
+    mock = createMockServer({ webhookSecret: SECRET });
+    receiver = await listen(mock.app);
+    isolatedEnv();
+    ({ WebhookDispatcher } = require("../server"));
+});
+
+after(async () => {
+    await close(receiver.server);
+});
+
+function dispatcher() {
+    return new WebhookDispatcher({
+        urls: [`${receiver.url}/__mock/webhook`],
+        secret: SECRET,
+        events: ["test"]
+    });
+}
+
+test("signe le corps horodaté avec HMAC-SHA256", async () => {
+    mock.webhooks.length = 0;
+    const [delivery] = await dispatcher().dispatch("test", { message: "bonjour" });
+
+    assert.equal(delivery.status, "delivered");
+    assert.equal(delivery.attempts, 1);
+
+    const [received] = mock.webhooks;
+    assert.equal(received.event, "test");
+    assert.equal(received.delivery, delivery.id);
+    assert.equal(received.signatureValid, true);
+    assert.deepEqual(received.body.data, { message: "bonjour" });
+
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET)
+        .update(`${received.timestamp}.${JSON.stringify(received.body)}`)
+        .digest('hex');
+    assert.equal(received.signature, expected);
+});
+
+test("retente après une erreur 5xx et garde la livraison au journal", async () => {
+    mock.webhooks.length = 0;
+    await axios.post(`${receiver.url}/__mock/webhook-fail-next`, { count: 2, status: 503 });
+
+    const webhooks = dispatcher();
+    const [delivery] = await webhooks.dispatch("test", {});
+
+    assert.equal(delivery.status, "delivered");
+    assert.equal(delivery.attempts, 3);
+    assert.equal(mock.webhooks.length, 1);
+    assert.equal(mock.webhooks[0].signatureValid, true);
+    assert.equal(webhooks.deliveries[0], delivery);
+});
+
+test("ne retente pas une erreur 4xx", async () => {
+    await axios.post(`${receiver.url}/__mock/webhook-fail-next`, { count: 1, status: 400 });
+
+    const [delivery] = await dispatcher().dispatch("test", {});
+
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.responseStatus, 400);
+});